@@ -24,5 +24,6 @@ module.exports = {
     "defaultValue": null
   },
   "requiredFields": [],
-  "failOnMissingRequiredFields": false
+  "failOnMissingRequiredFields": false,
+  "validationRules": {}
 };
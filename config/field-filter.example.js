@@ -94,5 +94,16 @@ module.exports = {
   ],
 
   // Whether to stop migration if required fields are missing
-  failOnMissingRequiredFields: false
+  failOnMissingRequiredFields: false,
+
+  // Per-field validation rules, checked on the source field names; rows that
+  // fail any rule are quarantined (see utils/validation.util.js)
+  validationRules: {
+    // email: { format: 'email', unique: true },
+    // Age: { min: 18, max: 65 },
+    // City: { allowedValues: ['Bangalore', 'Pune', 'New Delhi'] },
+    // code: { regex: '^[A-Z]{3}-\\d+$', maxLength: 10 },
+    // phone: { format: 'phone' },
+    // JoiningYear: { min: 2000 }
+  }
 };
\ No newline at end of file
@@ -2,14 +2,32 @@ const cron = require('node-cron');
 const fs = require('fs');
 const path = require('path');
 const { JobModel } = require('../models/Job');
+const { BatchModel } = require('../models/Batch');
 const { AuditLogModel } = require('../models/AuditLog');
 const { calculateFileChecksum } = require('../utils/checksum');
 const MongoQueue = require('../queue/mongo.queue');
+const { DEFAULT_TARGET_COLLECTION, checkTargetCollection } = require('../utils/target-collection.util');
+const { DEFAULT_QUEUE } = require('../utils/queue.util');
+const { convertToUtf8 } = require('../utils/dialect.util');
+const { detectSource } = require('../utils/source-reader.util');
+const { ARCHIVE_EXTENSIONS, unpackArchive } = require('../utils/archive.util');
+const { findMappingProfile, snapshotProfile } = require('../utils/mapping-profile.util');
+
+// Files picked up from the import directory: delimited text (the delimiter
+// is detected, so TSVs work as well as CSVs), JSON Lines and JSON arrays,
+// and gzip or zip archives of them
+const SCHEDULED_EXTENSIONS = ['.csv', '.tsv', '.jsonl', '.ndjson', '.json', ...ARCHIVE_EXTENSIONS];
+
+// File in an import directory holding the id of the mapping profile its
+// files are imported with
+const PROFILE_FILE = '.mapping-profile';
 
 class ScheduledImport {
   constructor() {
     this.schedule = process.env.CRON_SCHEDULE || '0 2 * * *'; // Default to 2 AM daily
     this.importDirectory = process.env.SCHEDULED_IMPORT_DIR || './scheduled_imports';
+    this.queueName = process.env.SCHEDULED_QUEUE || DEFAULT_QUEUE;
+    this.priority = parseInt(process.env.SCHEDULED_PRIORITY) || 0;
     this.task = null;
   }
 
@@ -33,12 +51,52 @@ class ScheduledImport {
     console.log('Scheduled import task started');
   }
 
+  // The mapping profile id a directory's PROFILE_FILE names, if it has one
+  readProfileId(directory) {
+    const profilePath = path.join(directory, PROFILE_FILE);
+    return fs.existsSync(profilePath) ? fs.readFileSync(profilePath, 'utf8').trim() || null : null;
+  }
+
+  // Files in a subdirectory go to the collection named after that
+  // subdirectory; files directly in the import directory go to
+  // SCHEDULED_TARGET_COLLECTION, or else to their mapping profile's
+  // collection or the default one (targetCollection null)
+  collectScheduledFiles() {
+    const entries = fs.readdirSync(this.importDirectory, { withFileTypes: true });
+    const topLevelProfileId = this.readProfileId(this.importDirectory);
+    const files = [];
+
+    for (const entry of entries) {
+      if (entry.isFile() && SCHEDULED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        files.push({
+          file: entry.name,
+          filePath: path.join(this.importDirectory, entry.name),
+          targetCollection: process.env.SCHEDULED_TARGET_COLLECTION || null,
+          profileId: topLevelProfileId
+        });
+      } else if (entry.isDirectory() && entry.name !== 'processed') {
+        const collectionDir = path.join(this.importDirectory, entry.name);
+        const profileId = this.readProfileId(collectionDir);
+        fs.readdirSync(collectionDir)
+          .filter(file => SCHEDULED_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+          .forEach(file => {
+            files.push({
+              file,
+              filePath: path.join(collectionDir, file),
+              targetCollection: entry.name,
+              profileId
+            });
+          });
+      }
+    }
+
+    return files;
+  }
+
   async processScheduledImports() {
     try {
       // Get all CSV files from the scheduled import directory
-      const files = fs.readdirSync(this.importDirectory).filter(file => 
-        path.extname(file).toLowerCase() === '.csv'
-      );
+      const files = this.collectScheduledFiles();
       
       if (files.length === 0) {
         console.log('No CSV files found for scheduled import');
@@ -47,58 +105,132 @@ class ScheduledImport {
       
       console.log(`Found ${files.length} CSV files for scheduled import`);
       
-      for (const file of files) {
-        const filePath = path.join(this.importDirectory, file);
-        
+      for (const scheduledFile of files) {
+        const { file, filePath, profileId } = scheduledFile;
+        let { targetCollection } = scheduledFile;
         try {
+          // The directory's mapping profile is snapshotted for the jobs, as
+          // for uploads
+          let mappingProfile = null;
+          if (profileId) {
+            const profileResult = await findMappingProfile(profileId);
+            if (profileResult.error) {
+              throw new Error(`${profileResult.error} (${PROFILE_FILE} in ${path.dirname(filePath)})`);
+            }
+            mappingProfile = snapshotProfile(profileResult.profile);
+            targetCollection = targetCollection || profileResult.profile.targetCollection;
+          }
+          targetCollection = targetCollection || DEFAULT_TARGET_COLLECTION;
+
+          const targetCollectionError = await checkTargetCollection(targetCollection);
+          if (targetCollectionError) {
+            throw new Error(targetCollectionError);
+          }
+
           // Calculate checksum to check for duplicates
           const checksum = await calculateFileChecksum(filePath);
           
-          // Check if a job with this checksum already exists
-          const existingJob = await JobModel.findOne({ checksum });
+          // Check if a job with this checksum already exists (dry runs don't count)
+          const existingJob = await JobModel.findOne({ checksum, dryRun: { $ne: true } }) ||
+            await BatchModel.findOne({ checksum, dryRun: { $ne: true } });
           if (existingJob) {
             console.log(`Duplicate file detected for scheduled import: ${file}`);
             continue;
           }
           
-          // Create a new job record
-          const job = await JobModel.create({
-            filename: file,
-            checksum: checksum,
-            status: 'QUEUED',
-            processedRows: 0,
-            totalRows: 0
-          });
-          
-          // Log SCHEDULED action
-          await AuditLogModel.create({
-            action: 'SCHEDULED',
-            jobId: job._id,
-            meta: { 
-              filename: file,
-              checksum,
-              filePath,
-              scheduled: true
-            }
-          });
-          
-          // Initialize MongoDB queue and add job
-          const queue = new MongoQueue();
-          await queue.add('csv-migration', {
-            filePath,
-            _id: job._id.toString()
-          });
-          
-          console.log(`Scheduled import job created for: ${file}`);
-          
-          // Move the file to processed directory to avoid re-processing
+          // The file is linked into the processed directory, which the jobs
+          // point at, and only removed from the import directory once every
+          // job is queued; until then a failure leaves it to be tried again
           const processedDir = path.join(this.importDirectory, 'processed');
           if (!fs.existsSync(processedDir)) {
             fs.mkdirSync(processedDir, { recursive: true });
           }
           
           const processedPath = path.join(processedDir, `${Date.now()}_${file}`);
-          fs.renameSync(filePath, processedPath);
+          fs.linkSync(filePath, processedPath);
+
+          let unpacked = null;
+          let batch = null;
+          const queued = [];
+          try {
+            // Unpack archives and detect how every file is written, converting
+            // it to UTF-8 if need be, before anything is queued
+            unpacked = await unpackArchive(processedPath, file);
+            const entries = [];
+            for (const { filePath: unpackedPath, originalFilename } of unpacked.files) {
+              const source = await detectSource(unpackedPath, originalFilename);
+              await convertToUtf8(unpackedPath, source.dialect);
+              entries.push({ unpackedPath, originalFilename, source });
+            }
+
+            // The entries of a zip archive become jobs in one batch, keyed by
+            // the archive's checksum
+            if (unpacked.archiveType === 'zip') {
+              batch = await BatchModel.create({
+                originalFilename: file,
+                checksum,
+                targetCollection,
+                entries: entries.map(entry => entry.originalFilename)
+              });
+            }
+
+            // Initialize MongoDB queue
+            const queue = new MongoQueue();
+
+            // Jobs are held until every one of them exists, so none is
+            // claimed by a worker and then removed below
+            for (const { unpackedPath, originalFilename, source } of entries) {
+              const job = await queue.add(this.queueName, {
+                filename: originalFilename,
+                originalFilename,
+                checksum: batch ? `${checksum}:${originalFilename}` : checksum,
+                batchId: batch ? batch._id : null,
+                filePath: unpackedPath,
+                format: source.format,
+                dialect: source.dialect,
+                mappingProfile,
+                targetCollection,
+                priority: this.priority
+              }, { hold: true });
+              queued.push({ job, unpackedPath, originalFilename });
+            }
+            await queue.release(queued.map(({ job }) => job.id));
+          } catch (error) {
+            const unpackedPaths = unpacked ? unpacked.files.map(entry => entry.filePath) : [];
+            [processedPath, ...unpackedPaths].forEach((unpackedPath) => {
+              fs.rmSync(unpackedPath, { force: true });
+              fs.rmSync(`${unpackedPath}.utf8`, { force: true });
+            });
+            if (queued.length > 0) {
+              await JobModel.deleteMany({ _id: { $in: queued.map(({ job }) => job.id) } });
+            }
+            if (batch) {
+              await BatchModel.deleteOne({ _id: batch._id });
+            }
+            throw error;
+          }
+
+          fs.unlinkSync(filePath);
+
+          for (const { job, unpackedPath, originalFilename } of queued) {
+            // Log SCHEDULED action
+            await AuditLogModel.create({
+              action: 'SCHEDULED',
+              jobId: job.id,
+              targetCollection,
+              meta: { 
+                filename: originalFilename,
+                checksum,
+                filePath: unpackedPath,
+                batchId: batch ? batch._id : undefined,
+                archive: unpacked.archiveType ? file : undefined,
+                mappingProfile: mappingProfile ? mappingProfile.name : undefined,
+                scheduled: true
+              }
+            });
+
+            console.log(`Scheduled import job created for: ${originalFilename} (collection: ${targetCollection})`);
+          }
           
         } catch (error) {
           console.error(`Error processing scheduled file ${file}:`, error);
@@ -107,6 +239,7 @@ class ScheduledImport {
           await AuditLogModel.create({
             action: 'SCHEDULED_ERROR',
             jobId: null,
+            targetCollection,
             meta: { 
               filename: file,
               error: error.message,
@@ -4,13 +4,18 @@ const auditLogSchema = new mongoose.Schema({
   action: {
     type: String,
     required: true,
-    enum: ['UPLOAD', 'START', 'INSERT', 'SKIP', 'COMPLETE', 'FAILED', 'RETRY', 'SCHEDULED', 'SCHEDULED_ERROR', 'SCHEDULED_SYSTEM_ERROR']
+    enum: ['UPLOAD', 'START', 'INSERT', 'SKIP', 'COMPLETE', 'FAILED', 'RETRY', 'SCHEDULED', 'SCHEDULED_ERROR', 'SCHEDULED_SYSTEM_ERROR', 'ROLLBACK', 'PAUSE', 'RESUME', 'CANCEL', 'DEAD_LETTER', 'REQUEUE', 'CONFIG_UPDATED']
   },
   jobId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Job',
     default: null
   },
+  // Collection the job wrote to, for entries that belong to an import
+  targetCollection: {
+    type: String,
+    default: null
+  },
   meta: {
     type: mongoose.Schema.Types.Mixed, // Flexible object for additional metadata
     default: {}
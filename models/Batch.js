@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A zip archive uploaded or scheduled for import; each importable entry
+// becomes a job pointing back here through batchId
+const batchSchema = new mongoose.Schema({
+  originalFilename: {
+    type: String,
+    required: true
+  },
+  // Checksum of the archive as uploaded, so the same archive is only
+  // imported once (dry runs aside, as for jobs)
+  checksum: {
+    type: String,
+    required: true,
+    index: true
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  targetCollection: {
+    type: String
+  },
+  // Names of the entries imported, in archive order
+  entries: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+batchSchema.index({ checksum: 1 }, {
+  name: 'checksum_unique_import',
+  unique: true,
+  partialFilterExpression: { dryRun: false }
+});
+
+const BatchModel = mongoose.model('Batch', batchSchema);
+
+module.exports = { BatchModel };
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// One saved version of the global field-filter configuration. Versions are
+// never changed once written: restoring an old one saves a copy of it as a
+// new version (see utils/config-version.util.js).
+const configVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+    index: true
+  },
+  config: {
+    type: mongoose.Schema.Types.Mixed, // Configuration as written to the file
+    required: true
+  },
+  author: {
+    type: String,
+    default: 'anonymous'
+  },
+  comment: {
+    type: String,
+    default: ''
+  },
+  // Version this one is a copy of, for versions saved by a restore
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+const ConfigVersionModel = mongoose.model('ConfigVersion', configVersionSchema);
+
+module.exports = { ConfigVersionModel };
@@ -1,22 +1,61 @@
 const mongoose = require('mongoose');
+const { WRITE_MODES } = require('../utils/write-mode.util');
+const { DEFAULT_TARGET_COLLECTION } = require('./Record');
+const { DEFAULT_QUEUE } = require('../utils/queue.util');
+const { SOURCE_FORMATS } = require('../utils/source-reader.util');
 
 const jobSchema = new mongoose.Schema({
+  // Import jobs read filePath into targetCollection; export jobs write the
+  // records selected by exportOptions out to filePath (see utils/export.util.js)
+  type: {
+    type: String,
+    enum: ['import', 'export'],
+    default: 'import'
+  },
+  exportOptions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
   filename: {
     type: String,
     required: true
   },
+  // Name of the file as the user uploaded it (filename is the stored name)
+  originalFilename: {
+    type: String
+  },
+  // Batch of the zip archive the file was unpacked from, if any
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    default: null,
+    index: true
+  },
+  // Unique among real imports only (see the partial index below), so a file
+  // can be dry-run any number of times before it is imported. Files from a
+  // zip archive use "<archive checksum>:<entry name>".
   checksum: {
     type: String,
-    required: true,
-    unique: true,
-    index: true
+    required: true
   },
+  // QUEUING jobs are not claimed by workers yet: the jobs of one upload or
+  // scheduled file are created as QUEUING and released together once all exist
   status: {
     type: String,
-    enum: ['PENDING', 'RUNNING', 'COMPLETED', 'FAILED', 'PAUSED'],
+    enum: ['QUEUING', 'PENDING', 'RUNNING', 'COMPLETED', 'COMPLETED_WITH_ERRORS', 'FAILED', 'DEAD_LETTER', 'PAUSED', 'CANCELLED', 'ROLLING_BACK', 'ROLLED_BACK'],
     default: 'PENDING',
     required: true
   },
+  // Queue the job waits in; workers subscribe to queues by name
+  queueName: {
+    type: String,
+    default: DEFAULT_QUEUE
+  },
+  // Jobs with a higher priority are taken before older, lower-priority ones
+  priority: {
+    type: Number,
+    default: 0
+  },
   processedRows: {
     type: Number,
     default: 0
@@ -33,31 +72,247 @@ const jobSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  fileSize: {
+    type: Number,
+    default: 0
+  },
+  processedBytes: {
+    type: Number,
+    default: 0
+  },
+  insertedRows: {
+    type: Number,
+    default: 0
+  },
+  duplicateRows: {
+    type: Number,
+    default: 0
+  },
+  failedRows: {
+    type: Number,
+    default: 0
+  },
+  rejectedRows: {
+    type: Number,
+    default: 0
+  },
+  matchedRows: {
+    type: Number,
+    default: 0
+  },
+  modifiedRows: {
+    type: Number,
+    default: 0
+  },
+  upsertedRows: {
+    type: Number,
+    default: 0
+  },
+  // Collection the records are written to (must be allowlisted, see /admin/collections)
+  targetCollection: {
+    type: String,
+    default: DEFAULT_TARGET_COLLECTION
+  },
+  // How records are written: insert-only, or upsert/replace/merge matched on keyFields
+  writeMode: {
+    type: String,
+    enum: WRITE_MODES,
+    default: 'insert'
+  },
+  keyFields: {
+    type: [String],
+    default: []
+  },
+  // Field holding the lineage sub-document on imported records; null when
+  // lineage is disabled, unset until the job first runs
+  lineageField: {
+    type: String
+  },
+  // Quarantine rows that fail field filtering instead of failing the whole job
+  continueOnError: {
+    type: Boolean,
+    default: false
+  },
+  // Keep a copy of every record an upsert/replace/merge overwrites so the job can be rolled back
+  takeSnapshots: {
+    type: Boolean,
+    default: false
+  },
+  // Run the whole pipeline but write nothing; the outcome goes to dryRunReport
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  // Counts, sample rows and per-field problems of a dry run (see utils/dry-run.util.js)
+  dryRunReport: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
   filePath: {
     type: String,
     required: true
   },
+  // Mapping profile the job was queued with and a snapshot of its settings
+  // taken then, which the worker filters with instead of the global
+  // configuration (see utils/mapping-profile.util.js); null for jobs without one
+  mappingProfile: {
+    type: {
+      _id: false,
+      profileId: mongoose.Schema.Types.ObjectId,
+      name: String,
+      updatedAt: Date,
+      settings: mongoose.Schema.Types.Mixed
+    },
+    default: null
+  },
+  // Version of the global configuration the worker filtered with, taken when
+  // processing (re)started (see utils/config-version.util.js); null for jobs
+  // with a mapping profile, or run before the configuration was versioned
+  configVersion: {
+    type: Number,
+    default: null
+  },
+  // Column types confirmed in the preview; values are cast to them before
+  // field filtering, and rows that do not fit are quarantined (see
+  // utils/field-types.util.js). null leaves every value as parsed.
+  fieldTypes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Format of the file (see utils/source-reader.util.js)
+  format: {
+    type: String,
+    enum: SOURCE_FORMATS,
+    default: 'csv'
+  },
+  // How the file is written (see utils/dialect.util.js); encoding and bom
+  // describe the upload, which is stored converted to UTF-8 unless it already
+  // was. Jobs queued before dialects were detected have none and are parsed
+  // as comma-separated UTF-8.
+  dialect: {
+    type: {
+      delimiter: String,
+      quote: String,
+      escape: String,
+      newline: String,
+      encoding: String,
+      bom: Boolean
+    },
+    default: null
+  },
+  // Pause or cancel request from the admin API, picked up by the worker
+  // between chunks and cleared once it has stopped
+  command: {
+    type: String,
+    enum: ['PAUSE', 'CANCEL', null],
+    default: null
+  },
+  // Roll back the records already written when the job is cancelled
+  cancelRollback: {
+    type: Boolean,
+    default: false
+  },
+  // Error of the latest failed attempt; every attempt is kept in errorHistory
   error: {
     type: String,
     default: null
   },
+  errorHistory: {
+    type: [{
+      _id: false,
+      attempt: Number,
+      error: String,
+      workerId: String,
+      failedAt: Date
+    }],
+    default: []
+  },
   lastProcessedChunk: {
     type: Number,
     default: -1
   },
+  // Resume point saved after every committed chunk: the byte offset and row
+  // number where the next uncommitted row starts, plus the CSV header row
+  checkpoint: {
+    type: {
+      byteOffset: Number,
+      rowNumber: Number,
+      chunkIndex: Number,
+      headers: [String],
+      insertedRows: Number,
+      duplicateRows: Number,
+      failedRows: Number,
+      rejectedRows: Number,
+      matchedRows: Number,
+      modifiedRows: Number,
+      upsertedRows: Number,
+      updatedAt: Date
+    },
+    default: null
+  },
+  // Where the current run picked up from, so rates only count this run's work
+  resumedFrom: {
+    byteOffset: {
+      type: Number,
+      default: 0
+    },
+    rowNumber: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Worker holding the job and when its lease runs out; the worker renews
+  // the lease with a heartbeat, and another worker may only take a RUNNING
+  // job over once the lease has expired
+  workerId: {
+    type: String,
+    default: null
+  },
+  leaseExpiresAt: {
+    type: Date,
+    default: null
+  },
+  heartbeatAt: {
+    type: Date
+  },
   retryCount: {
     type: Number,
     default: 0
   },
+  // Retries for this job; null falls back to the worker's QUEUE_MAX_RETRIES
   maxRetries: {
     type: Number,
-    default: 3
+    default: null
+  },
+  // Earliest time a PENDING job may run again after a failed attempt
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+  deadLetteredAt: {
+    type: Date
   },
   startedAt: {
     type: Date
   },
   completedAt: {
     type: Date
+  },
+  pausedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  rolledBackAt: {
+    type: Date
+  },
+  // Outcome of the last rollback attempt
+  rollback: {
+    restoredRows: Number,
+    deletedRows: Number,
+    skippedRows: Number,
+    error: String
   }
 }, {
   timestamps: true
@@ -65,7 +320,14 @@ const jobSchema = new mongoose.Schema({
 
 // Add indexes for efficient querying
 jobSchema.index({ status: 1 });
+jobSchema.index({ status: 1, leaseExpiresAt: 1, createdAt: 1 });
+jobSchema.index({ queueName: 1, status: 1, priority: -1, createdAt: 1 });
 jobSchema.index({ createdAt: -1 });
+jobSchema.index({ checksum: 1 }, {
+  name: 'checksum_unique_import',
+  unique: true,
+  partialFilterExpression: { dryRun: false }
+});
 
 const JobModel = mongoose.model('Job', jobSchema);
 
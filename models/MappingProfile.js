@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Named field filter settings and target collection, chosen per upload,
+// preview or scheduled import directory instead of the global configuration.
+// Jobs keep a snapshot of the profile as it was when they were queued (see
+// utils/mapping-profile.util.js).
+const mappingProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  includeFields: {
+    type: [String],
+    default: []
+  },
+  excludeFields: {
+    type: [String],
+    default: []
+  },
+  renameFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Field -> named transform, or list of them (see utils/field-filter.util.js)
+  transformFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  missingFieldHandling: {
+    type: mongoose.Schema.Types.Mixed,
+    default: { includeEmptyValues: true, defaultValue: null }
+  },
+  requiredFields: {
+    type: [String],
+    default: []
+  },
+  failOnMissingRequiredFields: {
+    type: Boolean,
+    default: false
+  },
+  // Field -> rules (see utils/validation.util.js)
+  validationRules: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Collection jobs queued with the profile write to, unless the upload
+  // names one; null for the default
+  targetCollection: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+const MappingProfileModel = mongoose.model('MappingProfile', mappingProfileSchema);
+
+module.exports = { MappingProfileModel };
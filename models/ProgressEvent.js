@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Progress events published by workers (and server-side tasks such as
+// rollbacks) for every server to tail and fan out to its SSE clients. The
+// collection is capped, so old events drop off on their own.
+const progressEventSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  type: {
+    type: String,
+    default: 'progress'
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed, // The event as sent to SSE clients
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  capped: {
+    size: parseInt(process.env.PROGRESS_EVENTS_SIZE) || 16 * 1024 * 1024, // 16 MB
+    max: parseInt(process.env.PROGRESS_EVENTS_MAX) || 50000
+  },
+  minimize: false
+});
+
+const ProgressEventModel = mongoose.model('ProgressEvent', progressEventSchema);
+
+module.exports = { ProgressEventModel };
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Rows a job could not write, kept with their original CSV values so they can
+// be downloaded, fixed and re-uploaded
+const quarantinedRowSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  rowNumber: {
+    type: Number,
+    required: true
+  },
+  values: {
+    type: mongoose.Schema.Types.Mixed, // Original CSV values, before field filtering
+    default: {}
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  stage: {
+    type: String,
+    enum: ['CAST', 'FILTER', 'VALIDATION', 'WRITE'],
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+quarantinedRowSchema.index({ jobId: 1, rowNumber: 1 });
+
+const QuarantinedRowModel = mongoose.model('QuarantinedRow', quarantinedRowSchema);
+
+module.exports = { QuarantinedRowModel };
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+const DEFAULT_TARGET_COLLECTION = 'records';
+
 // Record schema with strict: false to allow flexible CSV data
 const recordSchema = new mongoose.Schema({}, {
   strict: false, // Allow any fields from CSV
@@ -12,4 +14,20 @@ const recordSchema = new mongoose.Schema({}, {
 
 const RecordModel = mongoose.model('Record', recordSchema);
 
-module.exports = { RecordModel };
\ No newline at end of file
+/**
+ * Get the record model that writes to a given collection
+ * Every target collection shares the schemaless record schema; models are
+ * created on first use and then reused.
+ * @param {string} collectionName - Target collection name
+ * @returns {mongoose.Model} Model bound to that collection
+ */
+function getRecordModel(collectionName = DEFAULT_TARGET_COLLECTION) {
+  if (!collectionName || collectionName === DEFAULT_TARGET_COLLECTION) {
+    return RecordModel;
+  }
+
+  const modelName = `Record_${collectionName}`;
+  return mongoose.models[modelName] || mongoose.model(modelName, recordSchema, collectionName);
+}
+
+module.exports = { RecordModel, getRecordModel, DEFAULT_TARGET_COLLECTION };
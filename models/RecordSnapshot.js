@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Copy of a record as it was before a job first overwrote it (upsert, replace
+// or merge), so rolling the job back can restore it
+const recordSnapshotSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  targetCollection: {
+    type: String,
+    required: true
+  },
+  recordId: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  document: {
+    type: mongoose.Schema.Types.Mixed, // Full record before the job touched it
+    required: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Only the first snapshot of a record per job is kept; later writes by the
+// same job (or a replayed chunk) must not replace the original version
+recordSnapshotSchema.index({ jobId: 1, recordId: 1 }, { unique: true });
+
+const RecordSnapshotModel = mongoose.model('RecordSnapshot', recordSnapshotSchema);
+
+module.exports = { RecordSnapshotModel };
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Allowlist of collections that imports may write to (managed via /admin/collections)
+const targetCollectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  description: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+const TargetCollectionModel = mongoose.model('TargetCollection', targetCollectionSchema);
+
+module.exports = { TargetCollectionModel };
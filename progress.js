@@ -1,25 +1,61 @@
 const { JobModel } = require('./models/Job');
 const { EventEmitter } = require('events');
-const { progressEmitter: workerProgressEmitter } = require('./worker');
+const { calculateProgress, formatEta } = require('./utils/progress.util');
+const { subscribeProgress, afterEvent } = require('./utils/progress-bus.util');
+const { ProgressEventModel } = require('./models/ProgressEvent');
+
+// Comment lines sent this often keep idle connections from being closed by proxies
+const HEARTBEAT_INTERVAL = parseInt(process.env.PROGRESS_HEARTBEAT_INTERVAL) || 15000;
+
+// Format a bus event for a per-job stream: its id lets a reconnecting client
+// ask for what it missed, and its name is the event's kind (progress, chunk,
+// warning, completed or failed)
+function formatJobEvent(data, id) {
+  return `id: ${id}\nevent: ${data.event || 'progress'}\ndata: ${JSON.stringify(data)}\n\n`;
+}
 
 class ProgressTracker {
   constructor() {
     this.clients = new Set();
+    this.jobClients = new Map(); // jobId -> Set of { res, backlog }
     this.progressEmitter = new EventEmitter();
-    
-    // Connect worker progress emitter to broadcast to clients
-    workerProgressEmitter.on('progress', (data) => {
+    this.unsubscribe = null;
+    this.heartbeat = null;
+  }
+
+  // Broadcast events published on the progress bus by workers, wherever
+  // they run, to the connected clients
+  startListening() {
+    if (this.unsubscribe) return;
+    this.unsubscribe = subscribeProgress((data, event) => {
       this.emitProgress(data);
+      this.emitJobEvent(data, event._id);
     });
+    this.heartbeat = setInterval(() => this.sendHeartbeat(), HEARTBEAT_INTERVAL);
   }
 
-  // Add a client to the SSE connection
-  addClient(res) {
-    // Set SSE headers
+  stopListening() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  setHeaders(res) {
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
     res.setHeader('Access-Control-Allow-Origin', '*');
+  }
+
+  // Add a client to the SSE connection
+  addClient(res) {
+    // Set SSE headers
+    this.setHeaders(res);
 
     this.clients.add(res);
 
@@ -40,6 +76,96 @@ class ProgressTracker {
     }
   }
 
+  // Add a client that follows a single job. When it reconnects with the id of
+  // the last event it saw, the events it missed are replayed from the bus
+  // first; live events arriving meanwhile are held back and sent afterwards,
+  // skipping any the replay already covered.
+  async addJobClient(res, jobId, lastEventId = null) {
+    this.setHeaders(res);
+
+    const key = String(jobId);
+    const client = { res, backlog: lastEventId ? [] : null };
+    if (!this.jobClients.has(key)) {
+      this.jobClients.set(key, new Set());
+    }
+    this.jobClients.get(key).add(client);
+
+    res.on('close', () => {
+      const clients = this.jobClients.get(key);
+      if (!clients) return;
+      clients.delete(client);
+      if (clients.size === 0) {
+        this.jobClients.delete(key);
+      }
+    });
+
+    // Send the headers straight away
+    res.write(`: following job ${key}\n\n`);
+
+    if (!lastEventId) return;
+
+    const replayed = new Set();
+    try {
+      const isNew = await afterEvent({ jobId }, lastEventId);
+      const events = ProgressEventModel.find({ jobId })
+        .sort({ $natural: 1 })
+        .lean()
+        .cursor();
+      for await (const event of events) {
+        if (res.destroyed) break;
+        if (!isNew(event)) continue;
+        replayed.add(String(event._id));
+        res.write(formatJobEvent(event.data, event._id));
+      }
+    } finally {
+      const { backlog } = client;
+      client.backlog = null;
+      for (const { data, id } of backlog) {
+        if (!replayed.has(String(id)) && !res.destroyed) {
+          res.write(formatJobEvent(data, id));
+        }
+      }
+    }
+  }
+
+  // Send a bus event to the clients following its job
+  emitJobEvent(data, id) {
+    const clients = data.jobId && this.jobClients.get(String(data.jobId));
+    if (!clients) return;
+
+    for (const client of clients) {
+      if (client.backlog) {
+        client.backlog.push({ data, id });
+      } else if (!client.res.destroyed) {
+        client.res.write(formatJobEvent(data, id));
+      }
+    }
+  }
+
+  sendHeartbeat() {
+    for (const client of this.clients) {
+      if (!client.destroyed) {
+        client.write(': heartbeat\n\n');
+      }
+    }
+    for (const clients of this.jobClients.values()) {
+      for (const { res } of clients) {
+        if (!res.destroyed) {
+          res.write(': heartbeat\n\n');
+        }
+      }
+    }
+  }
+
+  // Number of connected clients on /progress and on per-job streams
+  getClientCounts() {
+    let job = 0;
+    for (const clients of this.jobClients.values()) {
+      job += clients.size;
+    }
+    return { all: this.clients.size, job };
+  }
+
   // Get the emitter for external use
   getEmitter() {
     return this.progressEmitter;
@@ -53,15 +179,17 @@ class ProgressTracker {
         const jobs = await JobModel.find({ status: { $in: ['RUNNING', 'PENDING'] } });
         
         for (const job of jobs) {
-          const progress = job.totalRows > 0 
-            ? Math.min(100, Math.round((job.processedRows / job.totalRows) * 100))
-            : 0;
+          const stats = calculateProgress(job.toObject());
           
           const progressData = {
             jobId: job._id,
-            percentage: progress,
-            message: `Processed ${job.processedRows} of ${job.totalRows} rows`,
+            percentage: stats.percentage,
+            message: `Processed ${job.processedRows} rows (${stats.rowsPerSecond} rows/s, ETA ${formatEta(stats.etaSeconds)})`,
             status: job.status,
+            ...stats,
+            processedRows: job.processedRows,
+            processedBytes: job.processedBytes,
+            fileSize: job.fileSize,
             timestamp: new Date().toISOString()
           };
           
@@ -1,80 +1,175 @@
+const os = require('os');
+const crypto = require('crypto');
 const { JobModel } = require('../models/Job');
 const { AuditLogModel } = require('../models/AuditLog');
+const { DEFAULT_QUEUE } = require('../utils/queue.util');
+const { createCounter } = require('../utils/metrics.util');
+
+// Outcomes of the attempts run by this process
+const jobsFinished = createCounter('csv_migration_jobs_finished_total', 'Jobs finished by this worker, by queue and final status');
+const jobRetries = createCounter('csv_migration_job_retries_total', 'Failed attempts put back on the queue to be retried');
+const jobsDeadLettered = createCounter('csv_migration_jobs_dead_lettered_total', 'Failed attempts that used up the last retry and moved the job to DEAD_LETTER');
+
+// Statuses a processor reports for a job it stopped on a PAUSE or CANCEL
+// command, having already released it (see stopJob in worker.js)
+const STOPPED_STATUSES = ['PAUSED', 'CANCELLED', 'PENDING'];
+
+// Jobs created before queues were named belong to the default queue
+function queueFilter(queueName) {
+  return queueName === DEFAULT_QUEUE
+    ? { queueName: { $in: [DEFAULT_QUEUE, null] } }
+    : { queueName };
+}
+
+// Turn [{ status, count }] aggregation results into named counters
+function summarizeStatuses(stats) {
+  const statsObj = {};
+  stats.forEach(stat => {
+    statsObj[stat.status] = stat.count;
+  });
+
+  return {
+    waiting: statsObj.PENDING || 0,
+    active: statsObj.RUNNING || 0,
+    completed: statsObj.COMPLETED || 0,
+    completedWithErrors: statsObj.COMPLETED_WITH_ERRORS || 0,
+    failed: statsObj.FAILED || 0,
+    paused: statsObj.PAUSED || 0,
+    cancelled: statsObj.CANCELLED || 0,
+    deadLetter: statsObj.DEAD_LETTER || 0,
+    total: Object.values(statsObj).reduce((sum, count) => sum + count, 0)
+  };
+}
 
 class MongoQueue {
   constructor() {
     this.processing = new Set(); // Track currently processing jobs
     this.pollInterval = parseInt(process.env.QUEUE_POLL_INTERVAL) || 5000; // 5 seconds
-    this.maxRetries = parseInt(process.env.QUEUE_MAX_RETRIES) || 3;
+    this.maxRetries = parseInt(process.env.QUEUE_MAX_RETRIES) || 3; // Used when a job has no maxRetries of its own
+    this.retryBaseDelay = parseInt(process.env.QUEUE_RETRY_BASE_DELAY) || 5000; // 5 seconds
+    this.retryMaxDelay = parseInt(process.env.QUEUE_RETRY_MAX_DELAY) || 15 * 60 * 1000; // 15 minutes
     this.polling = false;
+    this.pollingQueues = new Set();
+
+    // A claimed job is leased to this worker; the lease is renewed by a
+    // heartbeat while the job runs, and other workers only take a RUNNING job
+    // over once its lease has expired
+    this.workerId = process.env.WORKER_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+    this.leaseDuration = parseInt(process.env.QUEUE_LEASE_DURATION) || 60000; // 1 minute
+    this.heartbeatInterval = parseInt(process.env.QUEUE_HEARTBEAT_INTERVAL) || Math.floor(this.leaseDuration / 3);
   }
 
-  // Add a job to the queue
-  async add(queueName, jobData) {
+  // Add a job to the queue; jobData.priority (default 0) lets it jump ahead
+  // of lower-priority jobs waiting in the same queue. A held job is created
+  // as QUEUING and is not claimed until it is released.
+  async add(queueName, jobData, { hold = false } = {}) {
     const job = await JobModel.create({
       ...jobData,
-      status: 'PENDING'
+      queueName,
+      status: hold ? 'QUEUING' : 'PENDING'
     });
 
     // Log the job creation
     await AuditLogModel.create({
       action: 'UPLOAD',
       jobId: job._id,
+      targetCollection: job.targetCollection,
       meta: { queueName, jobData }
     });
 
     return { id: job._id, ...job._doc };
   }
 
-  // Get next available job
+  // Release held jobs to be claimed, all in one update
+  async release(jobIds) {
+    await JobModel.updateMany(
+      { _id: { $in: jobIds }, status: 'QUEUING' },
+      { status: 'PENDING' }
+    );
+  }
+
+  // Claim the next available job of a queue: a PENDING job that is due to
+  // run, or a RUNNING job whose worker has stopped renewing its lease (e.g. it
+  // crashed). Higher priorities go first, then the oldest job.
   async getNextJob(queueName) {
-    // Find jobs that are PENDING or have failed and need retry
-    const job = await JobModel.findOne({
-      status: { $in: ['PENDING', 'RUNNING'] },
-      retryCount: { $lt: this.maxRetries }
-    }).sort({ createdAt: 1 }).exec();
+    const now = new Date();
 
-    if (job) {
-      // Mark as running to prevent other workers from picking it up
-      const updatedJob = await JobModel.findOneAndUpdate(
-        { _id: job._id, status: { $in: ['PENDING', 'RUNNING'] } },
-        { 
-          status: 'RUNNING',
-          startedAt: job.status === 'PENDING' ? new Date() : job.startedAt
-        },
-        { new: true }
-      );
+    // Find and lease the job in one atomic update so two workers can never
+    // claim the same job
+    const claimed = await JobModel.findOneAndUpdate(
+      {
+        ...queueFilter(queueName),
+        $or: [
+          { status: 'PENDING', $or: [{ nextRunAt: null }, { nextRunAt: { $lte: now } }] },
+          { status: 'RUNNING', $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lt: now } }] }
+        ]
+      },
+      {
+        status: 'RUNNING',
+        workerId: this.workerId,
+        leaseExpiresAt: new Date(now.getTime() + this.leaseDuration),
+        heartbeatAt: now
+      },
+      { sort: { priority: -1, createdAt: 1 }, new: false }
+    );
 
-      if (updatedJob) {
-        this.processing.add(updatedJob._id.toString());
-        
-        // Log job started
-        await AuditLogModel.create({
-          action: 'START',
-          jobId: updatedJob._id,
-          meta: { queueName }
-        });
-        
-        return updatedJob;
-      }
-    }
+    if (!claimed) return null;
 
-    return null;
+    // The claim returned the job as it was, so work out what changed
+    const takenOverFrom = claimed.status === 'RUNNING' ? claimed.workerId || null : undefined;
+    const job = claimed.status === 'PENDING'
+      ? await JobModel.findByIdAndUpdate(claimed._id, { startedAt: now, nextRunAt: null }, { new: true })
+      : await JobModel.findById(claimed._id);
+
+    this.processing.add(job._id.toString());
+    
+    // Log job started
+    await AuditLogModel.create({
+      action: 'START',
+      jobId: job._id,
+      meta: { queueName, workerId: this.workerId, takenOverFrom }
+    });
+    
+    return job;
   }
 
-  // Complete a job
-  async completeJob(jobId, result = null) {
-    const job = await JobModel.findByIdAndUpdate(
-      jobId,
-      { 
-        status: 'COMPLETED', 
-        completedAt: new Date()
-      },
-      { new: true }
+  // Extend the lease on a job this worker holds
+  // Returns false if the job is no longer leased to this worker
+  async renewLease(jobId) {
+    const now = new Date();
+    const job = await JobModel.findOneAndUpdate(
+      { _id: jobId, workerId: this.workerId },
+      { heartbeatAt: now, leaseExpiresAt: new Date(now.getTime() + this.leaseDuration) },
+      { new: true, projection: { _id: 1 } }
     );
+    return Boolean(job);
+  }
+
+  // Complete a job; the processor can report a final status other than
+  // COMPLETED (e.g. COMPLETED_WITH_ERRORS, CANCELLED) through result.jobStatus.
+  // A PAUSED job is not finished: it goes back to PENDING when resumed.
+  async completeJob(jobId, result = null) {
+    const status = (result && result.jobStatus) || 'COMPLETED';
+    // A pause or cancel that arrived after the last chunk was read is dropped
+    // with the lease, so it doesn't stop the job the next time it runs
+    const release = { workerId: null, leaseExpiresAt: null, command: null };
+
+    // A job stopped by a command (or requeued when the command was withdrawn)
+    // was released in the same update that stopped it, so it is not written
+    // again: a resume or cancel sent since must not be overwritten.
+    // Otherwise only the worker holding the lease may finish the job.
+    const job = STOPPED_STATUSES.includes(status)
+      ? await JobModel.findById(jobId)
+      : await JobModel.findOneAndUpdate(
+        { _id: jobId, workerId: this.workerId },
+        { status, completedAt: new Date(), ...release },
+        { new: true }
+      );
+    this.processing.delete(jobId.toString());
 
     if (job) {
-      this.processing.delete(jobId.toString());
+      if (status !== 'CANCELLED' && STOPPED_STATUSES.includes(status)) return;
+      jobsFinished.inc({ queue: job.queueName || DEFAULT_QUEUE, status });
       
       // Log job completion
       await AuditLogModel.create({
@@ -85,82 +180,142 @@ class MongoQueue {
     }
   }
 
-  // Fail a job
+  // Delay before the next attempt after retryCount failed ones: exponential
+  // backoff capped at retryMaxDelay, with jitter so jobs that failed together
+  // don't all retry at the same moment
+  getRetryDelay(retryCount) {
+    const delay = Math.min(this.retryMaxDelay, this.retryBaseDelay * Math.pow(2, retryCount));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  // Fail an attempt of a job. It is retried after a backoff until it runs out
+  // of retries (the job's own maxRetries), then moved to DEAD_LETTER.
   async failJob(jobId, error) {
-    const job = await JobModel.findById(jobId);
-    if (!job) return;
+    // Leave the job alone if another worker has taken it over
+    const job = await JobModel.findOne({ _id: jobId, workerId: this.workerId });
+    if (!job) {
+      this.processing.delete(jobId.toString());
+      return;
+    }
 
-    let newStatus = 'FAILED';
-    let newRetryCount = job.retryCount;
+    const message = error.message || error;
+    const maxRetries = typeof job.maxRetries === 'number' ? job.maxRetries : this.maxRetries;
+    const failedAt = new Date();
+    let update;
 
     // Check if we should retry
-    if (job.retryCount < this.maxRetries) {
-      newRetryCount = job.retryCount + 1;
-      newStatus = 'PENDING'; // Reset to pending for retry
+    if (job.retryCount < maxRetries) {
+      const retryCount = job.retryCount + 1;
+      const delay = this.getRetryDelay(job.retryCount);
+      const nextRunAt = new Date(failedAt.getTime() + delay);
+      update = { status: 'PENDING', retryCount, nextRunAt, command: null };
       
       // Log retry
       await AuditLogModel.create({
         action: 'RETRY',
         jobId: job._id,
         meta: { 
-          retryCount: newRetryCount,
-          error: error.message || error,
-          maxRetries: this.maxRetries
+          retryCount,
+          error: message,
+          maxRetries,
+          delay,
+          nextRunAt
         }
       });
     } else {
-      // Max retries reached, mark as failed
+      // Max retries reached, park the job in the dead-letter state
+      update = { status: 'DEAD_LETTER', deadLetteredAt: failedAt, nextRunAt: null };
+
       await AuditLogModel.create({
-        action: 'FAILED',
+        action: 'DEAD_LETTER',
         jobId: job._id,
         meta: { 
-          error: error.message || error,
-          retryCount: job.retryCount
+          error: message,
+          retryCount: job.retryCount,
+          maxRetries
         }
       });
     }
 
-    const updatedJob = await JobModel.findByIdAndUpdate(
-      jobId,
+    const updatedJob = await JobModel.findOneAndUpdate(
+      { _id: jobId, workerId: this.workerId },
       {
-        status: newStatus,
-        error: error.message || error,
-        retryCount: newRetryCount
+        ...update,
+        error: message,
+        $push: {
+          errorHistory: {
+            attempt: job.retryCount + 1,
+            error: message,
+            workerId: this.workerId,
+            failedAt
+          }
+        },
+        workerId: null,
+        leaseExpiresAt: null
       },
       { new: true }
     );
 
     this.processing.delete(jobId.toString());
+    if (updatedJob) {
+      const counter = updatedJob.status === 'DEAD_LETTER' ? jobsDeadLettered : jobRetries;
+      counter.inc({ queue: updatedJob.queueName || DEFAULT_QUEUE });
+    }
     return updatedJob;
   }
 
-  // Start polling for jobs
-  async startPolling(queueName, processFunction) {
-    if (this.polling) {
-      console.log('Queue polling already running');
+  // Start polling a queue for jobs, running up to `concurrency` of them at once.
+  // A worker can poll several queues, each with its own concurrency.
+  async startPolling(queueName, processFunction, { concurrency = 1 } = {}) {
+    if (this.pollingQueues.has(queueName)) {
+      console.log(`Queue polling already running for ${queueName}`);
       return;
     }
 
     this.polling = true;
-    console.log(`Starting queue polling for ${queueName}...`);
+    this.pollingQueues.add(queueName);
+    console.log(`Starting queue polling for ${queueName} (concurrency ${concurrency})...`);
+
+    let active = 0;
+
+    const runJob = async (job) => {
+      // Keep the lease alive while the job runs
+      const heartbeat = setInterval(() => {
+        this.renewLease(job._id).then((renewed) => {
+          if (!renewed) console.warn(`Lost the lease on job ${job._id}`);
+        }, (error) => {
+          console.error(`Heartbeat for job ${job._id} failed:`, error.message);
+        });
+      }, this.heartbeatInterval);
+      
+      try {
+        // Process the job
+        const result = await processFunction(job);
+        await this.completeJob(job._id, result);
+        console.log(`Job ${job._id} completed successfully`);
+      } catch (error) {
+        console.error(`Job ${job._id} failed:`, error);
+        await this.failJob(job._id, error);
+      } finally {
+        clearInterval(heartbeat);
+        active--;
+      }
+    };
 
     const poll = async () => {
       if (!this.polling) return;
 
       try {
-        const job = await this.getNextJob(queueName);
-        if (job) {
+        // Claim jobs until every slot of this queue is busy
+        while (this.polling && active < concurrency) {
+          const job = await this.getNextJob(queueName);
+          if (!job) break;
+
           console.log(`Processing job ${job._id} from ${queueName}`);
-          
-          try {
-            // Process the job
-            const result = await processFunction(job);
-            await this.completeJob(job._id, result);
-            console.log(`Job ${job._id} completed successfully`);
-          } catch (error) {
-            console.error(`Job ${job._id} failed:`, error);
-            await this.failJob(job._id, error);
-          }
+          active++;
+          runJob(job).catch((error) => {
+            console.error(`Error finishing job ${job._id}:`, error);
+          });
         }
       } catch (error) {
         console.error('Error polling for jobs:', error);
@@ -177,33 +332,47 @@ class MongoQueue {
   // Stop polling
   stopPolling() {
     this.polling = false;
+    this.pollingQueues.clear();
     console.log('Queue polling stopped');
   }
 
-  // Get queue statistics
-  async getStats() {
+  // Get queue statistics, for one queue or across all of them
+  async getStats(queueName) {
     const stats = await JobModel.aggregate([
+      ...(queueName ? [{ $match: queueFilter(queueName) }] : []),
       {
         $group: {
           _id: '$status',
           count: { $sum: 1 }
         }
+      },
+      { $project: { _id: 0, status: '$_id', count: 1 } }
+    ]);
+
+    return summarizeStatuses(stats);
+  }
+
+  // Get queue statistics broken down by queue name
+  async getStatsByQueue() {
+    const stats = await JobModel.aggregate([
+      {
+        $group: {
+          _id: { queueName: { $ifNull: ['$queueName', DEFAULT_QUEUE] }, status: '$status' },
+          count: { $sum: 1 }
+        }
       }
     ]);
 
-    const statsObj = {};
-    stats.forEach(stat => {
-      statsObj[stat._id] = stat.count;
+    const byQueue = {};
+    stats.forEach(({ _id, count }) => {
+      (byQueue[_id.queueName] = byQueue[_id.queueName] || []).push({ status: _id.status, count });
     });
 
-    return {
-      waiting: statsObj.PENDING || 0,
-      active: statsObj.RUNNING || 0,
-      completed: statsObj.COMPLETED || 0,
-      failed: statsObj.FAILED || 0,
-      paused: statsObj.PAUSED || 0,
-      total: Object.values(statsObj).reduce((sum, count) => sum + count, 0)
-    };
+    const result = {};
+    Object.keys(byQueue).sort().forEach((queueName) => {
+      result[queueName] = summarizeStatuses(byQueue[queueName]);
+    });
+    return result;
   }
 }
 
@@ -1,10 +1,53 @@
 const express = require('express');
+const fs = require('fs');
+const mongoose = require('mongoose');
 const { JobModel } = require('../models/Job');
+const { BatchModel } = require('../models/Batch');
 const { AuditLogModel } = require('../models/AuditLog');
+const { QuarantinedRowModel } = require('../models/QuarantinedRow');
+const { TargetCollectionModel } = require('../models/TargetCollection');
+const { DEFAULT_TARGET_COLLECTION, validateCollectionName, checkTargetCollection } = require('../utils/target-collection.util');
+const { getRecordModel } = require('../models/Record');
+const { DEFAULT_LINEAGE_FIELD, getLineageField, readSourceRow } = require('../utils/lineage.util');
+const { toCSVLine } = require('../utils/csv.util');
+const { validateRollback, claimRollback, rollbackJob } = require('../utils/rollback.util');
+const { publishProgress } = require('../utils/progress-bus.util');
 const MongoQueue = require('../queue/mongo.queue');
 
 const router = express.Router();
 
+// Run a claimed rollback in the background, publishing its progress on the
+// progress bus (relayed to /progress) with type 'rollback'
+function startRollback(job, options = {}) {
+  rollbackJob(job, {
+    ...options,
+    onProgress: (percentage, message, stats) => {
+      publishProgress({
+        type: 'rollback',
+        // The last call carries the final status
+        event: stats.status ? 'completed' : 'progress',
+        jobId: job._id,
+        percentage,
+        message,
+        status: 'ROLLING_BACK',
+        ...stats,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }).catch(error => {
+    console.error(`Rollback of job ${job._id} failed:`, error);
+    publishProgress({
+      type: 'rollback',
+      event: 'failed',
+      jobId: job._id,
+      message: `Rollback failed: ${error.message}`,
+      status: job.status,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  });
+}
+
 // GET /admin/jobs - Get all jobs with pagination
 router.get('/jobs', async (req, res) => {
   try {
@@ -72,6 +115,450 @@ router.get('/job/:id', async (req, res) => {
   }
 });
 
+// GET /admin/batch/:id - Get a zip archive's batch with the status of the
+// job of every entry
+router.get('/batch/:id', async (req, res) => {
+  try {
+    let batch, jobs;
+    try {
+      batch = await BatchModel.findById(req.params.id);
+      jobs = batch
+        ? await JobModel.find({ batchId: batch._id })
+          .select('originalFilename status processedRows totalRows format error createdAt completedAt')
+          .sort({ createdAt: 1 })
+        : [];
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({ 
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const statusCounts = {};
+    jobs.forEach((job) => {
+      statusCounts[job.status] = (statusCounts[job.status] || 0) + 1;
+    });
+
+    res.json({ batch, jobs, statusCounts });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /admin/job/:id/report - Get the report of a dry-run job
+router.get('/job/:id/report', async (req, res) => {
+  try {
+    let job;
+    try {
+      job = await JobModel.findById(req.params.id);
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({ 
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!job.dryRun) {
+      return res.status(400).json({ error: 'Job is not a dry run' });
+    }
+
+    res.json({
+      jobId: job._id,
+      status: job.status,
+      filename: job.originalFilename || job.filename,
+      targetCollection: job.targetCollection,
+      writeMode: job.writeMode,
+      keyFields: job.keyFields,
+      processedRows: job.processedRows,
+      totalRows: job.totalRows,
+      complete: job.status === 'COMPLETED',
+      report: job.dryRunReport
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /admin/job/:id/rejects - Download a job's quarantined rows as CSV
+// The original columns come first so the file can be fixed and re-uploaded;
+// pass ?reasons=false to leave out the row number and error columns
+router.get('/job/:id/rejects', async (req, res) => {
+  try {
+    let job, firstReject;
+    try {
+      job = await JobModel.findById(req.params.id);
+      firstReject = job && await QuarantinedRowModel.findOne({ jobId: job._id }).sort({ rowNumber: 1 });
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({ 
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const includeReasons = req.query.reasons !== 'false';
+    const headers = job.checkpoint && job.checkpoint.headers && job.checkpoint.headers.length > 0
+      ? [...job.checkpoint.headers]
+      : Object.keys((firstReject && firstReject.values) || {});
+    const columns = includeReasons ? [...headers, '_rowNumber', '_rejectReason'] : headers;
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="rejects-${job._id}.csv"`);
+    res.write(toCSVLine(columns));
+
+    // Stop reading rejects when the client disconnects mid-download
+    let closed = false;
+    res.once('close', () => { closed = true; });
+
+    const cursor = QuarantinedRowModel.find({ jobId: job._id }).sort({ rowNumber: 1 }).lean().cursor();
+    try {
+      for await (const reject of cursor) {
+        if (closed) break;
+        const values = headers.map(header => (reject.values || {})[header]);
+        if (includeReasons) {
+          values.push(reject.rowNumber, reject.reason);
+        }
+        if (!res.write(toCSVLine(values))) {
+          await new Promise((resolve) => {
+            const done = () => {
+              res.off('drain', done);
+              res.off('close', done);
+              resolve();
+            };
+            res.on('drain', done);
+            res.on('close', done);
+          });
+        }
+      }
+    } finally {
+      await cursor.close();
+    }
+
+    if (!closed) res.end();
+  } catch (error) {
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /admin/job/:id/rollback - Delete the records a job created and restore
+// the ones it overwrote (when snapshots were taken). Runs in the background;
+// progress is broadcast over /progress with type 'rollback'.
+router.post('/job/:id/rollback', async (req, res) => {
+  try {
+    let job, rollbackError;
+    try {
+      job = await JobModel.findById(req.params.id);
+      rollbackError = job && validateRollback(job);
+      if (job && !rollbackError && !(await claimRollback(job._id))) {
+        rollbackError = 'Job changed status while starting the rollback';
+      }
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({ 
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (rollbackError) {
+      return res.status(409).json({ error: rollbackError });
+    }
+
+    startRollback(job);
+
+    res.status(202).json({
+      message: 'Rollback started',
+      jobId: job._id
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /admin/job/:id/pause - Pause a job. A queued job is paused straight
+// away; a running one stops at its next chunk boundary and keeps its checkpoint
+router.post('/job/:id/pause', async (req, res) => {
+  try {
+    let paused, requested, job;
+    try {
+      paused = await JobModel.findOneAndUpdate(
+        { _id: req.params.id, status: 'PENDING' },
+        { status: 'PAUSED', pausedAt: new Date() },
+        { new: true }
+      );
+      requested = !paused && await JobModel.findOneAndUpdate(
+        // Exports run in one go without chunk boundaries to stop at
+        { _id: req.params.id, status: 'RUNNING', command: null, type: { $ne: 'export' } },
+        { command: 'PAUSE' },
+        { new: true }
+      );
+      job = paused || requested || await JobModel.findById(req.params.id);
+      if (paused) {
+        await AuditLogModel.create({ action: 'PAUSE', jobId: job._id, targetCollection: job.targetCollection, meta: { processedRows: job.processedRows } });
+      }
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({ 
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (paused) {
+      return res.json({ message: 'Job paused', jobId: job._id, status: job.status });
+    }
+    if (requested || job.command === 'PAUSE') {
+      return res.status(202).json({ message: 'Pause requested, the job stops after its current chunk', jobId: job._id, status: job.status });
+    }
+
+    if (job.type === 'export' && job.status === 'RUNNING') {
+      return res.status(409).json({ error: 'Cannot pause a running export' });
+    }
+
+    res.status(409).json({ error: `Cannot pause a job with status ${job.status}${job.command ? ` (${job.command} pending)` : ''}` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /admin/job/:id/resume - Put a paused job back on the queue; the worker
+// carries on from its checkpoint. Also withdraws a pause not yet picked up.
+router.post('/job/:id/resume', async (req, res) => {
+  try {
+    let resumed, job;
+    try {
+      resumed = await JobModel.findOneAndUpdate(
+        { _id: req.params.id, status: 'PAUSED' },
+        { status: 'PENDING', command: null },
+        { new: true }
+      ) || await JobModel.findOneAndUpdate(
+        { _id: req.params.id, status: 'RUNNING', command: 'PAUSE' },
+        { command: null },
+        { new: true }
+      );
+      job = resumed || await JobModel.findById(req.params.id);
+      if (resumed) {
+        await AuditLogModel.create({ action: 'RESUME', jobId: job._id, targetCollection: job.targetCollection, meta: { checkpoint: job.checkpoint } });
+      }
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({ 
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!resumed) {
+      return res.status(409).json({ error: `Cannot resume a job with status ${job.status}` });
+    }
+
+    res.json({ message: 'Job resumed', jobId: job._id, status: job.status });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /admin/job/:id/cancel - Cancel a job. Pass { "rollback": true } (or
+// ?rollback=true) to also roll back the records it has already written.
+router.post('/job/:id/cancel', async (req, res) => {
+  try {
+    const rollback = (req.body && req.body.rollback === true) || req.query.rollback === 'true';
+    let cancelled, requested, job, rollbackError;
+    try {
+      cancelled = await JobModel.findOneAndUpdate(
+        { _id: req.params.id, status: { $in: ['PENDING', 'PAUSED'] } },
+        { status: 'CANCELLED', command: null, cancelRollback: rollback, cancelledAt: new Date() },
+        { new: true }
+      );
+      requested = !cancelled && await JobModel.findOneAndUpdate(
+        { _id: req.params.id, status: 'RUNNING', type: { $ne: 'export' } },
+        { command: 'CANCEL', cancelRollback: rollback },
+        { new: true }
+      );
+      job = cancelled || requested || await JobModel.findById(req.params.id);
+
+      if (cancelled) {
+        await AuditLogModel.create({ action: 'CANCEL', jobId: job._id, targetCollection: job.targetCollection, meta: { processedRows: job.processedRows, rollback } });
+        // A job that was never claimed by a worker has written nothing
+        if (rollback && job.startedAt) {
+          rollbackError = validateRollback(job);
+          if (!rollbackError && !(await claimRollback(job._id))) {
+            rollbackError = 'Job changed status while starting the rollback';
+          }
+        }
+      }
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({ 
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (requested) {
+      return res.status(202).json({ message: 'Cancel requested, the job stops after its current chunk', jobId: job._id, rollback });
+    }
+    if (!cancelled && job.type === 'export' && job.status === 'RUNNING') {
+      return res.status(409).json({ error: 'Cannot cancel a running export' });
+    }
+    if (!cancelled) {
+      return res.status(409).json({ error: `Cannot cancel a job with status ${job.status}` });
+    }
+
+    if (rollback && !job.startedAt) {
+      return res.json({ message: 'Job cancelled, it never started so there is nothing to roll back', jobId: job._id, rollback: false });
+    }
+    if (rollback && !rollbackError) {
+      startRollback(job, { finalStatus: 'CANCELLED' });
+      return res.status(202).json({ message: 'Job cancelled, rollback started', jobId: job._id, rollback: true });
+    }
+
+    res.json({
+      message: rollbackError ? `Job cancelled, nothing rolled back: ${rollbackError}` : 'Job cancelled',
+      jobId: job._id,
+      rollback: false
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /admin/dead-letter - Get jobs that ran out of retries, with their error history
+router.get('/dead-letter', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    
+    let jobs, total;
+    try {
+      jobs = await JobModel.find({ status: 'DEAD_LETTER' })
+        .sort({ deadLetteredAt: -1 })
+        .skip(skip)
+        .limit(limit);
+      
+      total = await JobModel.countDocuments({ status: 'DEAD_LETTER' });
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({ 
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+    
+    res.json({
+      jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /admin/job/:id/requeue - Give a dead-lettered job a fresh set of
+// retries; it resumes from its checkpoint on the next poll
+router.post('/job/:id/requeue', async (req, res) => {
+  try {
+    let requeued, job;
+    try {
+      requeued = await JobModel.findOneAndUpdate(
+        { _id: req.params.id, status: 'DEAD_LETTER' },
+        { status: 'PENDING', retryCount: 0, nextRunAt: null, command: null },
+        { new: false }
+      );
+      job = requeued
+        ? await JobModel.findById(requeued._id)
+        : await JobModel.findById(req.params.id);
+      if (requeued) {
+        await AuditLogModel.create({
+          action: 'REQUEUE',
+          jobId: job._id,
+          targetCollection: job.targetCollection,
+          meta: { previousRetryCount: requeued.retryCount, lastError: requeued.error }
+        });
+      }
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({ 
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!requeued) {
+      return res.status(409).json({ error: `Only DEAD_LETTER jobs can be requeued, this job is ${job.status}` });
+    }
+
+    res.json({ message: 'Job requeued', jobId: job._id, status: job.status });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET /admin/audit-logs - Get audit logs with pagination
 router.get('/audit-logs', async (req, res) => {
   try {
@@ -116,10 +603,11 @@ router.get('/audit-logs', async (req, res) => {
 // GET /admin/stats - Get system statistics
 router.get('/stats', async (req, res) => {
   try {
-    let totalJobs, completedJobs, failedJobs, queuedJobs, processingJobs;
+    let totalJobs, completedJobs, completedWithErrorsJobs, failedJobs, queuedJobs, processingJobs;
     try {
       totalJobs = await JobModel.countDocuments();
       completedJobs = await JobModel.countDocuments({ status: 'COMPLETED' });
+      completedWithErrorsJobs = await JobModel.countDocuments({ status: 'COMPLETED_WITH_ERRORS' });
       failedJobs = await JobModel.countDocuments({ status: 'FAILED' });
       queuedJobs = await JobModel.countDocuments({ status: 'QUEUED' });
       processingJobs = await JobModel.countDocuments({ status: 'RUNNING' });
@@ -137,20 +625,188 @@ router.get('/stats', async (req, res) => {
     // Initialize MongoDB queue for stats
     const queue = new MongoQueue();
     const queueStats = await queue.getStats();
+    const queuesStats = await queue.getStatsByQueue();
     
     res.json({
       jobs: {
         total: totalJobs,
         completed: completedJobs,
+        completedWithErrors: completedWithErrorsJobs,
         failed: failedJobs,
         queued: queuedJobs,
         processing: processingJobs
       },
-      queue: queueStats
+      queue: queueStats,
+      queues: queuesStats
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /admin/records/:collection/:id/source - Get the original CSV row a record was imported from
+// Follows the record's lineage sub-document back to its job and source file;
+// pass ?field= if the lineage was written under a non-default field name
+router.get('/records/:collection/:id/source', async (req, res) => {
+  try {
+    const { collection, id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid record id' });
+    }
+
+    const lineageField = req.query.field || getLineageField() || DEFAULT_LINEAGE_FIELD;
+
+    let collectionError, record, job;
+    try {
+      collectionError = await checkTargetCollection(collection);
+      if (!collectionError) {
+        record = await getRecordModel(collection).findById(id).lean();
+      }
+      const lineage = record && record[lineageField];
+      if (lineage && lineage.jobId) {
+        job = await JobModel.findById(lineage.jobId);
+      }
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({ 
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+
+    if (collectionError) {
+      return res.status(400).json({ error: collectionError });
+    }
+    if (!record) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+
+    const lineage = record[lineageField];
+    if (!lineage || !lineage.jobId) {
+      return res.status(404).json({ error: `Record has no lineage in field "${lineageField}"` });
+    }
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found', lineage });
+    }
+    // CSV rows can only be parsed with the header row saved in the checkpoint
+    const isCSV = (job.format || 'csv') === 'csv';
+    if (typeof lineage.byteOffset !== 'number' || (isCSV && (!job.checkpoint || !job.checkpoint.headers))) {
+      return res.status(422).json({ error: 'Lineage does not locate the source row', lineage });
+    }
+    if (!job.filePath || !fs.existsSync(job.filePath)) {
+      return res.status(410).json({ error: 'Source file is no longer available', lineage });
+    }
+
+    const row = await readSourceRow(job.filePath, lineage.byteOffset, {
+      format: job.format,
+      dialect: job.dialect,
+      headers: isCSV ? [...job.checkpoint.headers] : null
+    });
+
+    res.json({
+      recordId: record._id,
+      lineage,
+      jobId: job._id,
+      sourceFile: lineage.sourceFile,
+      rowNumber: lineage.rowNumber,
+      row
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /admin/collections - List the collections imports may write to
+router.get('/collections', async (req, res) => {
+  try {
+    let collections;
+    try {
+      collections = await TargetCollectionModel.find().sort({ name: 1 });
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({ 
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+
+    res.json({
+      default: DEFAULT_TARGET_COLLECTION,
+      collections
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// POST /admin/collections - Add a collection to the allowlist
+router.post('/collections', async (req, res) => {
+  try {
+    const { name, description } = req.body || {};
+
+    const nameError = validateCollectionName(name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+    if (name === DEFAULT_TARGET_COLLECTION) {
+      return res.status(400).json({ error: `Collection "${name}" is always allowed` });
+    }
+
+    let collection;
+    try {
+      if (await TargetCollectionModel.exists({ name })) {
+        return res.status(409).json({ error: `Collection "${name}" is already allowed` });
+      }
+      collection = await TargetCollectionModel.create({ name, description: description || '' });
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({ 
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+
+    res.status(201).json(collection);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /admin/collections/:name - Remove a collection from the allowlist
+// Existing data is left untouched; new imports just can't target it any more
+router.delete('/collections/:name', async (req, res) => {
+  try {
+    let removed;
+    try {
+      removed = await TargetCollectionModel.findOneAndDelete({ name: req.params.name });
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({ 
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Collection not found in allowlist' });
+    }
+
+    res.json({ success: true, name: removed.name });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
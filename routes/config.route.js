@@ -1,6 +1,11 @@
 const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
+const { ConfigVersionModel } = require('../models/ConfigVersion');
+const { AuditLogModel } = require('../models/AuditLog');
+const { validateValidationRules } = require('../utils/validation.util');
+const { validateTransformFields } = require('../utils/field-filter.util');
+const { toStoredConfig, parseVersion, createConfigVersion, findConfigVersion, diffConfigs } = require('../utils/config-version.util');
 
 const router = express.Router();
 
@@ -29,7 +34,8 @@ async function loadConfig() {
         defaultValue: null
       },
       requiredFields: [],
-      failOnMissingRequiredFields: false
+      failOnMissingRequiredFields: false,
+      validationRules: {}
     };
     return currentConfig;
   }
@@ -72,6 +78,35 @@ module.exports = ${JSON.stringify(configForFile, null, 2)};
   }
 }
 
+// Store a configuration as a new version, write it to the file with its
+// version number and log the change. Database errors are thrown for the
+// route to answer; a version whose file could not be written is removed again.
+async function saveConfigVersion(newConfig, details) {
+  const previousConfig = await loadConfig();
+  const { saved, previous } = await createConfigVersion(newConfig, { ...details, previousConfig });
+
+  const result = await saveConfig({ ...newConfig, version: saved.version });
+  if (!result.success) {
+    await ConfigVersionModel.deleteOne({ _id: saved._id });
+    return result;
+  }
+
+  const changes = previous ? diffConfigs(previous.config, saved.config) : [];
+  await AuditLogModel.create({
+    action: 'CONFIG_UPDATED',
+    meta: {
+      version: saved.version,
+      previousVersion: previous ? previous.version : null,
+      author: saved.author,
+      comment: saved.comment,
+      restoredFrom: saved.restoredFrom,
+      changedPaths: changes.map(change => change.path)
+    }
+  });
+
+  return { ...result, version: saved.version };
+}
+
 // GET /config - Get current configuration
 router.get('/', async (req, res) => {
   try {
@@ -92,6 +127,20 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Configuration is required' });
     }
     
+    // Validation rules are checked rather than defaulted, so a typo in a rule
+    // is reported instead of silently dropped
+    const validationRulesError = validateValidationRules(newConfig.validationRules);
+    if (validationRulesError) {
+      return res.status(400).json({ success: false, error: validationRulesError });
+    }
+    // Likewise transform names, which would otherwise fail every later job
+    const transformError = newConfig.transformFields !== undefined && newConfig.transformFields !== null
+      ? validateTransformFields(newConfig.transformFields)
+      : null;
+    if (transformError) {
+      return res.status(400).json({ success: false, error: transformError });
+    }
+    
     // Ensure required fields exist
     const validatedConfig = {
       includeFields: Array.isArray(newConfig.includeFields) ? newConfig.includeFields : [],
@@ -105,13 +154,26 @@ router.post('/', async (req, res) => {
       },
       requiredFields: Array.isArray(newConfig.requiredFields) ? newConfig.requiredFields : [],
       failOnMissingRequiredFields: typeof newConfig.failOnMissingRequiredFields === 'boolean' ? 
-                                   newConfig.failOnMissingRequiredFields : false
+                                   newConfig.failOnMissingRequiredFields : false,
+      validationRules: newConfig.validationRules || {}
     };
     
-    const result = await saveConfig(validatedConfig);
+    let result;
+    try {
+      result = await saveConfigVersion(validatedConfig, { author: newConfig.author, comment: newConfig.comment });
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
     
     if (result.success) {
-      res.json({ success: true, message: result.message });
+      res.json({ success: true, message: result.message, version: result.version });
     } else {
       res.status(500).json({ success: false, error: result.error });
     }
@@ -134,13 +196,167 @@ router.post('/reset', async (req, res) => {
         defaultValue: null
       },
       requiredFields: [],
-      failOnMissingRequiredFields: false
+      failOnMissingRequiredFields: false,
+      validationRules: {}
     };
     
-    const result = await saveConfig(defaultConfig);
+    const body = req.body || {};
+    let result;
+    try {
+      result = await saveConfigVersion(defaultConfig, { author: body.author, comment: body.comment || 'Reset to default' });
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
     
     if (result.success) {
-      res.json({ success: true, message: 'Configuration reset to default' });
+      res.json({ success: true, message: 'Configuration reset to default', version: result.version });
+    } else {
+      res.status(500).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /config/versions - List saved configuration versions, newest first
+router.get('/versions', async (req, res) => {
+  try {
+    let versions;
+    try {
+      versions = await ConfigVersionModel.find({}, { config: 0 }).sort({ version: -1 }).lean();
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+
+    res.json({ success: true, versions });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /config/versions/diff?from=1&to=3 - Diff two versions; to defaults to
+// the latest
+router.get('/versions/diff', async (req, res) => {
+  try {
+    const from = parseVersion(req.query.from);
+    if (!from) {
+      return res.status(400).json({ success: false, error: `Invalid version "${req.query.from}"` });
+    }
+    const to = req.query.to !== undefined ? parseVersion(req.query.to) : null;
+    if (req.query.to !== undefined && !to) {
+      return res.status(400).json({ success: false, error: `Invalid version "${req.query.to}"` });
+    }
+
+    let before, after;
+    try {
+      before = await findConfigVersion(from);
+      after = await findConfigVersion(to);
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+
+    if (!before || !after) {
+      return res.status(404).json({ success: false, error: `Configuration version ${!before ? from : to} not found` });
+    }
+
+    res.json({
+      success: true,
+      from: before.version,
+      to: after.version,
+      changes: diffConfigs(before.config, after.config)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /config/versions/:version - Get one version with its configuration
+router.get('/versions/:version', async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    if (!version) {
+      return res.status(400).json({ success: false, error: `Invalid version "${req.params.version}"` });
+    }
+
+    let saved;
+    try {
+      saved = await ConfigVersionModel.findOne({ version }).lean();
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+
+    if (!saved) {
+      return res.status(404).json({ success: false, error: `Configuration version ${version} not found` });
+    }
+
+    res.json({ success: true, version: saved });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /config/versions/:version/restore - Make an old version current again,
+// saved as a new version
+router.post('/versions/:version/restore', async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    if (!version) {
+      return res.status(400).json({ success: false, error: `Invalid version "${req.params.version}"` });
+    }
+
+    const body = req.body || {};
+    let saved, result;
+    try {
+      saved = await ConfigVersionModel.findOne({ version }).lean();
+      if (!saved) {
+        return res.status(404).json({ success: false, error: `Configuration version ${version} not found` });
+      }
+      result = await saveConfigVersion(toStoredConfig(saved.config), {
+        author: body.author,
+        comment: body.comment || `Restored version ${version}`,
+        restoredFrom: version
+      });
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+
+    if (result.success) {
+      res.json({ success: true, message: `Configuration version ${version} restored`, version: result.version });
     } else {
       res.status(500).json({ success: false, error: result.error });
     }
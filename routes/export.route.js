@@ -0,0 +1,231 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { JobModel } = require('../models/Job');
+const { DEFAULT_TARGET_COLLECTION, checkTargetCollection } = require('../utils/target-collection.util');
+const { DEFAULT_QUEUE, validateQueueName, parsePriority } = require('../utils/queue.util');
+const { getLineageField } = require('../utils/lineage.util');
+const {
+  EXPORT_DIR,
+  EXPORT_CONTENT_TYPES,
+  parseExportOptions,
+  validateExportOptions,
+  buildExportQuery,
+  streamExport
+} = require('../utils/export.util');
+const MongoQueue = require('../queue/mongo.queue');
+
+const router = express.Router();
+
+/* =======================
+   HELPER: RESOLVE EXPORT
+======================= */
+
+// Work out which collection an export reads and, when it selects the records
+// of an import job, the lineage field they were stamped with. Returns the
+// completed options, or an error with its status code.
+async function resolveExportOptions(options) {
+  let collection = options.collection;
+  let lineageField = null;
+
+  if (options.jobId) {
+    const job = await JobModel.findById(options.jobId).select('targetCollection lineageField type').lean();
+    if (!job || job.type === 'export') {
+      return { status: 404, error: 'Import job not found' };
+    }
+    lineageField = job.lineageField !== undefined ? job.lineageField : getLineageField();
+    if (!lineageField) {
+      return { status: 422, error: 'The job did not stamp lineage on its records, so they cannot be selected by job' };
+    }
+    collection = collection || job.targetCollection;
+  }
+
+  collection = collection || DEFAULT_TARGET_COLLECTION;
+  const collectionError = await checkTargetCollection(collection);
+  if (collectionError) {
+    return { status: 400, error: collectionError };
+  }
+
+  return { options: { ...options, collection, lineageField } };
+}
+
+/* =======================
+   GET /export
+======================= */
+
+// Stream records as CSV or NDJSON straight to the response
+router.get('/', async (req, res) => {
+  const options = parseExportOptions(req.query);
+  const optionsError = validateExportOptions(options);
+  if (optionsError) {
+    return res.status(400).json({ error: optionsError });
+  }
+
+  try {
+    let resolved;
+    try {
+      resolved = await resolveExportOptions(options);
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+
+    const { collection, format } = resolved.options;
+    res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${collection}-export.${format}"`);
+
+    await streamExport(buildExportQuery(resolved.options), res);
+  } catch (error) {
+    // Once the export has started streaming, the client can only see the
+    // response being cut short
+    if (res.headersSent) {
+      console.error('Export stream error:', error.message);
+      return res.end();
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/* =======================
+   POST /export/jobs
+======================= */
+
+// Queue an export to run in the background on a worker; the file can be
+// downloaded once the job has completed
+router.post('/jobs', async (req, res) => {
+  const options = parseExportOptions(req.body);
+  const queueName = req.body.queueName || DEFAULT_QUEUE;
+  const priority = parsePriority(req.body.priority);
+  const optionsError = validateExportOptions(options) ||
+    validateQueueName(queueName) ||
+    (Number.isNaN(priority) ? `Invalid priority "${req.body.priority}". Expected an integer` : null);
+  if (optionsError) {
+    return res.status(400).json({ error: optionsError });
+  }
+
+  try {
+    let resolved, job;
+    try {
+      resolved = await resolveExportOptions(options);
+      if (resolved.error) {
+        return res.status(resolved.status).json({ error: resolved.error });
+      }
+
+      // Export jobs share the job collection with imports; their checksum
+      // only has to be unique
+      const exportId = new mongoose.Types.ObjectId();
+      const filename = `${resolved.options.collection}-${exportId}.${resolved.options.format}`;
+      const queue = new MongoQueue();
+      job = await queue.add(queueName, {
+        type: 'export',
+        filename,
+        originalFilename: filename,
+        checksum: `export:${exportId}`,
+        filePath: path.join(EXPORT_DIR, filename),
+        targetCollection: resolved.options.collection,
+        exportOptions: resolved.options,
+        priority
+      });
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      message: 'Export queued'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/* =======================
+   GET /export/jobs/:id
+======================= */
+
+// Look up an export job, answering 404/503 itself when it can't
+async function findExportJob(req, res) {
+  try {
+    const job = await JobModel.findById(req.params.id);
+    if (!job || job.type !== 'export') {
+      res.status(404).json({ error: 'Export job not found' });
+      return null;
+    }
+    return job;
+  } catch (dbError) {
+    // Handle database connection errors
+    if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+      res.status(503).json({
+        error: 'Database connection unavailable',
+        message: 'Please ensure MongoDB is running and the worker service is operational'
+      });
+      return null;
+    }
+    throw dbError; // Re-throw other errors
+  }
+}
+
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await findExportJob(req, res);
+    if (!job) return;
+
+    res.json({
+      jobId: job._id,
+      status: job.status,
+      exportOptions: job.exportOptions,
+      exportedRows: job.processedRows,
+      totalRows: job.totalRows,
+      error: job.error,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt,
+      downloadUrl: job.status === 'COMPLETED' ? `/export/jobs/${job._id}/download` : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/* =======================
+   GET /export/jobs/:id/download
+======================= */
+
+router.get('/jobs/:id/download', async (req, res) => {
+  try {
+    const job = await findExportJob(req, res);
+    if (!job) return;
+
+    if (job.status !== 'COMPLETED') {
+      return res.status(409).json({ error: `Export is ${job.status}, not COMPLETED`, status: job.status });
+    }
+    if (!fs.existsSync(job.filePath)) {
+      return res.status(410).json({ error: 'Export file is no longer available' });
+    }
+
+    res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[job.exportOptions.format]);
+    res.download(job.filePath, job.filename);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
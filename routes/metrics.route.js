@@ -0,0 +1,55 @@
+const express = require('express');
+const progressTracker = require('../progress');
+const MongoQueue = require('../queue/mongo.queue');
+const { JobModel } = require('../models/Job');
+const { METRICS_CONTENT_TYPE, createGauge, addCollector, renderMetrics } = require('../utils/metrics.util');
+
+const router = express.Router();
+const queue = new MongoQueue();
+
+const queueJobs = createGauge('csv_migration_queue_jobs', 'Jobs in each queue by status');
+const sseClients = createGauge('csv_migration_sse_clients', 'Connected progress clients, on /progress (all) and per-job streams (job)');
+const heartbeatAge = createGauge('csv_migration_worker_heartbeat_age_seconds', 'Seconds since each worker with running jobs last renewed a lease');
+
+addCollector(() => {
+  const counts = progressTracker.getClientCounts();
+  sseClients.set({ stream: 'all' }, counts.all);
+  sseClients.set({ stream: 'job' }, counts.job);
+});
+
+addCollector(async () => {
+  const stats = await queue.getStatsByQueue();
+  queueJobs.reset();
+  Object.entries(stats).forEach(([queueName, counts]) => {
+    Object.entries(counts).forEach(([status, count]) => {
+      if (status !== 'total') queueJobs.set({ queue: queueName, status }, count);
+    });
+  });
+});
+
+// A job that has not had a heartbeat yet counts from when it started
+addCollector(async () => {
+  const workers = await JobModel.aggregate([
+    { $match: { status: 'RUNNING', workerId: { $ne: null } } },
+    { $group: { _id: '$workerId', heartbeatAt: { $max: { $ifNull: ['$heartbeatAt', '$startedAt'] } } } }
+  ]);
+  const now = Date.now();
+  heartbeatAge.reset();
+  workers.forEach(({ _id: workerId, heartbeatAt }) => {
+    if (heartbeatAt) heartbeatAge.set({ worker_id: workerId }, Math.max(0, (now - heartbeatAt.getTime()) / 1000));
+  });
+});
+
+// GET /metrics - Server metrics in the Prometheus text exposition format
+// Worker metrics (rows, chunk latency, retries) are served by each worker on
+// WORKER_METRICS_PORT
+router.get('/', async (req, res) => {
+  try {
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.send(await renderMetrics());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,20 @@
 const express = require('express');
-const csv = require('csv-parser');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const readline = require('readline');
-const { applyFieldFilterToRecords } = require('../utils/field-filter.util');
+const { applyFieldFilterToRecords, matchesRecordFilter, getValidationRules } = require('../utils/field-filter.util');
+const { readStreamSample, decodeSample, parseDialectOverrides, validateDialect } = require('../utils/dialect.util');
+const { validateFormat, sniffSource, createRowParser } = require('../utils/source-reader.util');
+const { ARCHIVE_EXTENSIONS, openSourceData } = require('../utils/archive.util');
+const {
+  FIELD_TYPE_SAMPLE_ROWS,
+  inferFieldTypes,
+  parseFieldTypes,
+  validateFieldTypes,
+  castRecord
+} = require('../utils/field-types.util');
+const { createValidationState, validateRecord } = require('../utils/validation.util');
+const { findMappingProfile, getProfileSettings } = require('../utils/mapping-profile.util');
 
 const router = express.Router();
 
@@ -26,17 +36,44 @@ const storage = multer.diskStorage({
   }
 });
 
+const PREVIEW_MIME_TYPES = [
+  'text/csv', 'text/tab-separated-values', 'application/json', 'application/x-ndjson',
+  'application/gzip', 'application/x-gzip', 'application/zip', 'application/x-zip-compressed'
+];
+const PREVIEW_EXTENSIONS = ['.csv', '.tsv', '.txt', '.jsonl', '.ndjson', '.json', ...ARCHIVE_EXTENSIONS];
+
 const upload = multer({
   storage,
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+    // The delimiter is detected, so tab-separated files are fine too
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (PREVIEW_MIME_TYPES.includes(file.mimetype) || PREVIEW_EXTENSIONS.includes(extension)) {
       cb(null, true);
     } else {
-      cb(new Error('Only CSV files are allowed'), false);
+      cb(new Error('Only CSV, TSV, JSON Lines or JSON files, or gzip or zip archives of them, are allowed'), false);
     }
   }
 });
 
+/* =======================
+   HELPER: PARSE PREVIEW ROWS
+======================= */
+
+// A sample cut off inside a JSON array ends in an unfinished object; the
+// rows before it are still shown
+function parsePreviewRows(text, source, maxRows, truncated) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    createRowParser(source)
+      .on('data', ({ row }) => {
+        if (rows.length < maxRows) rows.push(row);
+      })
+      .on('end', () => resolve(rows))
+      .on('error', error => (truncated && rows.length > 0 ? resolve(rows) : reject(error)))
+      .end(Buffer.from(text));
+  });
+}
+
 /* =======================
    POST /preview
 ======================= */
@@ -47,89 +84,99 @@ router.post('/', upload.single('csvFile'), async (req, res) => {
   }
 
   const filePath = req.file.path;
-  const results = [];
   const MAX_ROWS = 10; // Show fewer rows for faster preview
 
-  try {
-    // Read only the first part of the file for preview
-    const fileStream = fs.createReadStream(filePath, { start: 0, end: 10240 }); // Read first 10KB
-    const rl = readline.createInterface({
-      input: fileStream,
-      crlfDelay: Infinity
-    });
+  // Format, dialect fields and column types the user has corrected; the rest
+  // is detected
+  const format = req.body.format || null;
+  const overrides = parseDialectOverrides(req.body);
+  const typeOverrides = parseFieldTypes(req.body.fieldTypes);
+  const dialectError = validateFormat(format) || validateDialect(overrides) || validateFieldTypes(typeOverrides);
+  if (dialectError) {
+    cleanup();
+    return res.status(400).json({ error: dialectError });
+  }
 
-    let lineNumber = 0;
-    let headers = [];
-    
-    for await (const line of rl) {
-      if (lineNumber === 0) {
-        // Parse headers from first line
-        headers = parseCSVLine(line);
-      } else {
-        // Parse data row
-        const values = parseCSVLine(line);
-        
-        if (values.length === headers.length) {
-          const row = {};
-          headers.forEach((header, index) => {
-            row[header] = values[index] || '';
+  try {
+    // A mapping profile's settings are used instead of the global
+    // configuration
+    let profileResult = null;
+    if (req.body.profileId) {
+      try {
+        profileResult = await findMappingProfile(req.body.profileId);
+      } catch (dbError) {
+        // Handle database connection errors
+        if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+          cleanup();
+          return res.status(503).json({
+            error: 'Database connection unavailable',
+            message: 'Please ensure MongoDB is running and the worker service is operational'
           });
-          results.push(row);
-          
-          if (results.length >= MAX_ROWS) {
-            break; // Stop after collecting enough preview rows
-          }
         }
+        throw dbError; // Re-throw other errors
       }
-      lineNumber++;
-      
-      // Stop if we've read enough lines
-      if (lineNumber > MAX_ROWS + 5) { // +5 to account for headers and some buffer
-        break;
+      if (profileResult.error) {
+        cleanup();
+        return res.status(profileResult.status).json({ error: profileResult.error });
       }
     }
-    
-    // Function to parse a CSV line, handling quoted values
-    function parseCSVLine(line) {
-      const result = [];
-      let current = '';
-      let inQuotes = false;
-      
-      for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        
-        if (char === '"') {
-          if (inQuotes && i + 1 < line.length && line[i + 1] === '"') {
-            // Double quotes inside quoted field
-            current += '"';
-            i++; // Skip next quote
-          } else {
-            // Toggle quote state
-            inQuotes = !inQuotes;
-          }
-        } else if (char === ',' && !inQuotes) {
-          // End of field
-          result.push(current.trim());
-          current = '';
-        } else {
-          current += char;
-        }
-      }
-      
-      // Add last field
-      result.push(current.trim());
-      return result;
+    const fieldFilter = profileResult ? getProfileSettings(profileResult.profile) : null;
+
+    // Archives are previewed without unpacking them: a gzip file through a
+    // decompressing stream, a zip archive through its first importable entry
+    let data;
+    try {
+      data = await openSourceData(filePath, req.file.originalname);
+    } catch (archiveError) {
+      cleanup();
+      return res.status(400).json({ error: archiveError.message });
     }
+
+    // Detect the format and dialect from the start of the file and parse the
+    // preview rows from the same sample, the way the worker will parse the
+    // file. Only line-based formats are cut back to the last full line.
+    const { sample, truncated } = await readStreamSample(data.stream);
+    const source = sniffSource(sample, data.filename, { format, dialect: overrides }, truncated);
+    const text = decodeSample(sample, source.dialect.encoding, truncated && source.format !== 'json');
+    const sampleRows = await parsePreviewRows(text, source, Math.max(MAX_ROWS, FIELD_TYPE_SAMPLE_ROWS), truncated);
+
+    // Infer column types from the whole sample, cast it to them and check it
+    // against the validation rules, so values that will not fit or pass are
+    // reported before the file is imported
+    const inferredTypes = inferFieldTypes(sampleRows);
+    const fieldTypes = { ...inferredTypes, ...typeOverrides };
+    const validationRules = getValidationRules(fieldFilter);
+    const validationState = createValidationState();
+    const castErrors = [];
+    const validationErrors = [];
+    const results = sampleRows.map((row, index) => {
+      const cast = castRecord(row, fieldTypes);
+      if (cast.errors.length > 0) {
+        castErrors.push({ rowNumber: index + 1, errors: cast.errors });
+      } else if (matchesRecordFilter(cast.record, fieldFilter)) {
+        const errors = validateRecord(cast.record, validationRules, validationState);
+        if (errors.length > 0) validationErrors.push({ rowNumber: index + 1, errors });
+      }
+      return cast.record;
+    }).slice(0, MAX_ROWS);
     
     // Apply field filtering to preview results
-    const filteredResults = applyFieldFilterToRecords(results);
+    const filteredResults = applyFieldFilterToRecords(results, fieldFilter);
     
     cleanup();
     
     res.json({
       success: true,
       rows: filteredResults,
-      count: filteredResults.length
+      count: filteredResults.length,
+      format: source.format,
+      dialect: source.dialect,
+      fieldTypes,
+      inferredTypes,
+      castErrors,
+      validationErrors,
+      profile: profileResult ? { id: profileResult.profile._id, name: profileResult.profile.name } : null,
+      archive: data.archiveType ? { type: data.archiveType, entry: data.filename } : null
     });
     
   } catch (error) {
@@ -0,0 +1,177 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { MappingProfileModel } = require('../models/MappingProfile');
+const { checkTargetCollection } = require('../utils/target-collection.util');
+const { parseProfile, validateProfile } = require('../utils/mapping-profile.util');
+
+const router = express.Router();
+
+// Validate a profile from the request body, including its target collection
+// against the allowlist; returns the profile or an error message
+async function readProfile(body) {
+  const profile = parseProfile(body);
+  const profileError = validateProfile(profile) ||
+    (profile.targetCollection ? await checkTargetCollection(profile.targetCollection) : null);
+  return profileError ? { error: profileError } : { profile };
+}
+
+function isDuplicateName(error) {
+  return error.code === 11000;
+}
+
+// GET /profiles - List mapping profiles
+router.get('/', async (req, res) => {
+  try {
+    let profiles;
+    try {
+      profiles = await MappingProfileModel.find().sort({ name: 1 });
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+
+    res.json({ profiles });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /profiles - Create a mapping profile
+router.post('/', async (req, res) => {
+  try {
+    let result, profile;
+    try {
+      result = await readProfile(req.body || {});
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      profile = await MappingProfileModel.create(result.profile);
+    } catch (dbError) {
+      if (isDuplicateName(dbError)) {
+        return res.status(409).json({ error: `A profile named "${result.profile.name}" already exists` });
+      }
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+
+    res.status(201).json(profile);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /profiles/:id - Get a mapping profile
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: `Invalid profile id "${req.params.id}"` });
+    }
+
+    let profile;
+    try {
+      profile = await MappingProfileModel.findById(req.params.id);
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+
+    res.json(profile);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /profiles/:id - Replace a mapping profile's settings
+// Jobs already queued keep the snapshot they were queued with
+router.put('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: `Invalid profile id "${req.params.id}"` });
+    }
+
+    let result, profile;
+    try {
+      result = await readProfile(req.body || {});
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      profile = await MappingProfileModel.findByIdAndUpdate(req.params.id, result.profile, { new: true, runValidators: true });
+    } catch (dbError) {
+      if (isDuplicateName(dbError)) {
+        return res.status(409).json({ error: `A profile named "${result.profile.name}" already exists` });
+      }
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+
+    res.json(profile);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /profiles/:id - Delete a mapping profile
+// Jobs already queued keep the snapshot they were queued with
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: `Invalid profile id "${req.params.id}"` });
+    }
+
+    let removed;
+    try {
+      removed = await MappingProfileModel.findByIdAndDelete(req.params.id);
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+
+    res.json({ success: true, id: removed._id, name: removed.name });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
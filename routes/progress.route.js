@@ -1,4 +1,5 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const progressTracker = require('../progress');
 const { JobModel } = require('../models/Job');
 const { EventEmitter } = require('events');
@@ -54,4 +55,48 @@ router.get('/status/:jobId', async (req, res) => {
   }
 });
 
+// GET /progress/:jobId - Server-Sent Events for a single job
+// Every event has an id and a name (progress, chunk, warning, completed or
+// failed). A client reconnecting with a Last-Event-ID header (or
+// ?lastEventId=) first gets the events it missed since then.
+router.get('/:jobId', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ error: 'Invalid job id' });
+    }
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+    if (lastEventId && !mongoose.Types.ObjectId.isValid(lastEventId)) {
+      return res.status(400).json({ error: 'Invalid Last-Event-ID' });
+    }
+
+    try {
+      const job = await JobModel.findById(jobId, { _id: 1 }).lean();
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+    } catch (dbError) {
+      // Handle database connection errors
+      if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
+        return res.status(503).json({ 
+          error: 'Database connection unavailable',
+          message: 'Please ensure MongoDB is running and the worker service is operational'
+        });
+      }
+      throw dbError; // Re-throw other errors
+    }
+
+    await progressTracker.addJobClient(res, jobId, lastEventId);
+  } catch (error) {
+    if (res.headersSent) {
+      // The replay failed part way; closing makes the client reconnect and
+      // ask again from the last event it got
+      console.error(`Error replaying progress events for job ${req.params.jobId}:`, error.message);
+      return res.end();
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
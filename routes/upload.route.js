@@ -4,6 +4,15 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { JobModel } = require('../models/Job');
+const { BatchModel } = require('../models/Batch');
+const { parseKeyFields, validateWriteMode } = require('../utils/write-mode.util');
+const { DEFAULT_TARGET_COLLECTION, checkTargetCollection } = require('../utils/target-collection.util');
+const { DEFAULT_QUEUE, validateQueueName, parsePriority } = require('../utils/queue.util');
+const { parseDialectOverrides, validateDialect, convertToUtf8 } = require('../utils/dialect.util');
+const { validateFormat, detectSource } = require('../utils/source-reader.util');
+const { unpackArchive } = require('../utils/archive.util');
+const { parseFieldTypes, validateFieldTypes } = require('../utils/field-types.util');
+const { findMappingProfile, snapshotProfile } = require('../utils/mapping-profile.util');
 
 const router = express.Router();
 
@@ -41,6 +50,21 @@ function getChecksum(filePath) {
   });
 }
 
+// Remove the batch and jobs created for an upload that failed part way;
+// a failure here is logged so the upload's own error is still reported
+async function removePartialUpload(batch, jobs) {
+  try {
+    if (jobs.length > 0) {
+      await JobModel.deleteMany({ _id: { $in: jobs.map(job => job._id) } });
+    }
+    if (batch) {
+      await BatchModel.deleteOne({ _id: batch._id });
+    }
+  } catch (error) {
+    console.error('Error removing partial upload:', error);
+  }
+}
+
 /* =======================
    POST /upload
 ======================= */
@@ -53,13 +77,62 @@ router.post('/', upload.single('csvFile'), async (req, res) => {
 
     const filePath = req.file.path;
 
+    // Write mode and key fields come in as multipart text fields
+    const writeMode = req.body.writeMode || 'insert';
+    const keyFields = parseKeyFields(req.body.keyFields);
+    const writeModeError = validateWriteMode(writeMode, keyFields);
+    if (writeModeError) {
+      fs.unlinkSync(filePath);
+      return res.status(400).json({ error: writeModeError });
+    }
+    const continueOnError = req.body.continueOnError === 'true';
+    const takeSnapshots = req.body.takeSnapshots === 'true';
+    const dryRun = req.body.dryRun === 'true';
+    const profileId = req.body.profileId || null;
+
+    // Queue and priority decide which workers pick the job up and how soon
+    const queueName = req.body.queueName || DEFAULT_QUEUE;
+    const priority = parsePriority(req.body.priority);
+    const queueError = validateQueueName(queueName) ||
+      (Number.isNaN(priority) ? `Invalid priority "${req.body.priority}". Expected an integer` : null);
+    if (queueError) {
+      fs.unlinkSync(filePath);
+      return res.status(400).json({ error: queueError });
+    }
+
+    // Format and dialect fields the user corrected in the preview; the rest
+    // is detected. Column types are only cast when confirmed in the preview.
+    const format = req.body.format || null;
+    const dialectOverrides = parseDialectOverrides(req.body);
+    const fieldTypes = parseFieldTypes(req.body.fieldTypes);
+    const dialectError = validateFormat(format) || validateDialect(dialectOverrides) || validateFieldTypes(fieldTypes);
+    if (dialectError) {
+      fs.unlinkSync(filePath);
+      return res.status(400).json({ error: dialectError });
+    }
+
     // ✅ 1. Calculate checksum
     const checksum = await getChecksum(filePath);
 
-    // ✅ 2. Prevent duplicate uploads
-    let exists;
+    // ✅ 2. Prevent duplicate uploads and writes to collections not on the
+    // allowlist. A mapping profile is snapshotted now and supplies the target
+    // collection unless the upload names one.
+    let exists, targetCollectionError, profileResult, targetCollection;
     try {
-      exists = await JobModel.findOne({ checksum });
+      profileResult = profileId ? await findMappingProfile(profileId) : null;
+      if (profileResult && profileResult.error) {
+        fs.unlinkSync(filePath);
+        return res.status(profileResult.status).json({ error: profileResult.error });
+      }
+      targetCollection = req.body.targetCollection ||
+        (profileResult && profileResult.profile.targetCollection) ||
+        DEFAULT_TARGET_COLLECTION;
+      targetCollectionError = await checkTargetCollection(targetCollection);
+      // A dry run never blocks importing the same file for real
+      exists = !dryRun && (
+        await JobModel.findOne({ checksum, dryRun: { $ne: true } }) ||
+        await BatchModel.findOne({ checksum, dryRun: { $ne: true } })
+      );
     } catch (dbError) {
       // Handle database connection errors
       if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
@@ -71,26 +144,96 @@ router.post('/', upload.single('csvFile'), async (req, res) => {
       }
       throw dbError; // Re-throw other errors
     }
+    if (targetCollectionError) {
+      fs.unlinkSync(filePath);
+      return res.status(400).json({ error: targetCollectionError });
+    }
     if (exists) {
       fs.unlinkSync(filePath);
       return res.status(409).json({ error: 'File already uploaded' });
     }
 
-    // ✅ 3. Create job WITH REQUIRED FIELDS
-    let job;
+    // Archives are unpacked first: a gzip file into the one file it holds,
+    // a zip archive into a file per importable entry
+    let unpacked;
     try {
-      job = await JobModel.create({
-        filename: req.file.filename, // ✅ EXACT field name
-        checksum: checksum,           // ✅ REQUIRED
-        status: 'PENDING',
-        processedRows: 0,
-        totalRows: 0,
-        filePath: filePath // Add the filePath field which is required in the schema
-      });
+      unpacked = await unpackArchive(filePath, req.file.originalname);
+    } catch (archiveError) {
+      fs.rmSync(filePath, { force: true });
+      return res.status(400).json({ error: archiveError.message });
+    }
+    // A failed conversion can leave its temporary copy next to the entry
+    const removeUnpackedFiles = () => unpacked.files.forEach((file) => {
+      fs.rmSync(file.filePath, { force: true });
+      fs.rmSync(`${file.filePath}.utf8`, { force: true });
+    });
+
+    const files = [];
+    let batch = null;
+    const jobs = [];
+    try {
+      // The checksum above is of the file as uploaded; the worker reads the
+      // unpacked UTF-8 copies
+      for (const file of unpacked.files) {
+        const source = await detectSource(file.filePath, file.originalFilename, { format, dialect: dialectOverrides });
+        await convertToUtf8(file.filePath, source.dialect);
+        files.push({ ...file, ...source });
+      }
+
+      // ✅ 3. Create jobs WITH REQUIRED FIELDS; the entries of a zip archive
+      // become jobs in one batch. Jobs are held as QUEUING until every one
+      // exists, so none is claimed by a worker and then removed below.
+      if (unpacked.archiveType === 'zip') {
+        batch = await BatchModel.create({
+          originalFilename: req.file.originalname,
+          checksum,
+          dryRun,
+          targetCollection,
+          entries: files.map(file => file.originalFilename)
+        });
+      }
+
+      for (const file of files) {
+        jobs.push(await JobModel.create({
+          filename: path.basename(file.filePath), // ✅ EXACT field name
+          originalFilename: file.originalFilename,
+          // ✅ REQUIRED; entries of an archive keep its checksum, told apart by name
+          checksum: batch ? `${checksum}:${file.originalFilename}` : checksum,
+          batchId: batch ? batch._id : null,
+          status: 'QUEUING',
+          processedRows: 0,
+          totalRows: 0,
+          filePath: file.filePath, // Add the filePath field which is required in the schema
+          format: file.format,
+          dialect: file.dialect,
+          fieldTypes,
+          mappingProfile: profileResult ? snapshotProfile(profileResult.profile) : null,
+          writeMode,
+          keyFields,
+          continueOnError,
+          takeSnapshots,
+          dryRun,
+          targetCollection,
+          queueName,
+          priority
+        }));
+      }
+      await JobModel.updateMany(
+        { _id: { $in: jobs.map(job => job._id) }, status: 'QUEUING' },
+        { status: 'PENDING' }
+      );
     } catch (dbError) {
+      // Leave nothing of the upload behind: no unpacked files, and no batch
+      // holding only some of its jobs
+      removeUnpackedFiles();
+      await removePartialUpload(batch, jobs);
+
+      // The same file was uploaded at the same moment
+      if (dbError.code === 11000) {
+        return res.status(409).json({ error: 'File already uploaded' });
+      }
       // Handle database connection errors
       if (dbError.name === 'MongooseServerSelectionError' || dbError.name === 'MongooseError') {
-        fs.unlinkSync(filePath);
         return res.status(503).json({ 
           error: 'Database connection unavailable',
           message: 'Please ensure MongoDB is running and the worker service is operational'
@@ -99,10 +242,27 @@ router.post('/', upload.single('csvFile'), async (req, res) => {
       throw dbError; // Re-throw other errors
     }
 
+    if (batch) {
+      return res.json({
+        success: true,
+        batchId: batch._id,
+        jobId: jobs[0]._id,
+        jobs: jobs.map(job => ({
+          jobId: job._id,
+          originalFilename: job.originalFilename,
+          format: job.format,
+          dialect: job.dialect
+        })),
+        message: `Archive uploaded successfully, ${jobs.length} ${dryRun ? 'dry runs' : 'migrations'} started`
+      });
+    }
+
     res.json({
       success: true,
-      jobId: job._id,
-      message: 'File uploaded successfully, migration started'
+      jobId: jobs[0]._id,
+      format: files[0].format,
+      dialect: files[0].dialect,
+      message: dryRun ? 'File uploaded successfully, dry run started' : 'File uploaded successfully, migration started'
     });
 
   } catch (err) {
@@ -6,6 +6,7 @@ const mongoose = require('mongoose');
 
 const progressTracker = require('./progress');
 const scheduledImport = require('./cron/import.cron');
+const { migrateJobIndexes } = require('./utils/migrations.util');
 
 // Import routes
 const previewRoute = require('./routes/preview.route');
@@ -13,6 +14,9 @@ const uploadRoute = require('./routes/upload.route');
 const progressRoute = require('./routes/progress.route');
 const adminRoute = require('./routes/admin.route');
 const configRoute = require('./routes/config.route');
+const metricsRoute = require('./routes/metrics.route');
+const exportRoute = require('./routes/export.route');
+const profileRoute = require('./routes/profile.route');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -32,6 +36,9 @@ app.use('/upload', uploadRoute);
 app.use('/progress', progressRoute);
 app.use('/admin', adminRoute);
 app.use('/config', configRoute);
+app.use('/metrics', metricsRoute);
+app.use('/export', exportRoute);
+app.use('/profiles', profileRoute);
 
 // Root route - serve the UI
 app.get('/', (req, res) => {
@@ -68,14 +75,16 @@ async function connectDB() {
 // Start the server
 async function startServer() {
   await connectDB();
+  await migrateJobIndexes();
   
   // Start scheduled import if enabled
   if (process.env.ENABLE_SCHEDULED_IMPORTS !== 'false') {
     scheduledImport.start();
   }
   
-  // Start progress polling
+  // Start progress polling and relay worker progress from the progress bus
   progressTracker.startPolling();
+  progressTracker.startListening();
   
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
@@ -91,6 +100,7 @@ process.on('SIGTERM', async () => {
   if (process.env.ENABLE_SCHEDULED_IMPORTS !== 'false') {
     scheduledImport.stop();
   }
+  progressTracker.stopListening();
   await mongoose.disconnect();
   process.exit(0);
 });
@@ -100,6 +110,7 @@ process.on('SIGINT', async () => {
   if (process.env.ENABLE_SCHEDULED_IMPORTS !== 'false') {
     scheduledImport.stop();
   }
+  progressTracker.stopListening();
   await mongoose.disconnect();
   process.exit(0);
 });
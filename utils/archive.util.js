@@ -0,0 +1,286 @@
+/**
+ * Archive Utility
+ *
+ * Unpacks compressed uploads and scheduled imports before they are queued:
+ * - gzip (e.g. orders.csv.gz): decompressed as a stream into one file
+ * - zip: every importable entry is extracted into its own file, each of
+ *   which becomes a job in the same batch
+ *
+ * Archives are recognised by their magic bytes rather than their extension.
+ * Zip archives are read through their central directory; entries must be
+ * stored or deflated, and ZIP64 and encrypted archives are not supported.
+ *
+ * Configured with environment variables:
+ * - MAX_UNPACKED_SIZE: most bytes an archive may unpack to, so a small
+ *   compressed upload cannot fill the disk (default: 1 GiB)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const stream = require('stream');
+const { pipeline } = require('stream/promises');
+const { isSourceFile } = require('./source-reader.util');
+
+const ARCHIVE_EXTENSIONS = ['.gz', '.zip'];
+const MAX_UNPACKED_SIZE = parseInt(process.env.MAX_UNPACKED_SIZE) || 1024 * 1024 * 1024;
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+const ZIP_MAGIC = [0x50, 0x4b, 0x03, 0x04];
+const EMPTY_ZIP_MAGIC = [0x50, 0x4b, 0x05, 0x06];
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const MAX_ZIP_COMMENT = 0xffff;
+const ZIP64_MARKER = 0xffffffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const FLAG_ENCRYPTED = 0x1;
+const FLAG_UTF8 = 0x800;
+
+function startsWith(buffer, magic) {
+  return magic.every((byte, index) => buffer[index] === byte);
+}
+
+async function readBytes(filePath, position, length) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Tell whether a file is an archive from its first bytes
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<string|null>} 'gzip', 'zip', or null for anything else
+ */
+async function detectArchiveType(filePath) {
+  const magic = await readBytes(filePath, 0, 4);
+  if (startsWith(magic, GZIP_MAGIC)) return 'gzip';
+  if (startsWith(magic, ZIP_MAGIC) || startsWith(magic, EMPTY_ZIP_MAGIC)) return 'zip';
+  return null;
+}
+
+/**
+ * List the importable entries of a zip archive; directories, macOS
+ * resource forks, hidden files and files in formats that cannot be
+ * imported are left out
+ * @param {string} filePath - Path of the archive
+ * @returns {Promise<Array<Object>>} Entries with name, method, flags, compressedSize, size and localHeaderOffset
+ * @throws {Error} If the archive is corrupt or uses an unsupported feature
+ */
+async function listZipEntries(filePath) {
+  const { size } = await fs.promises.stat(filePath);
+  const tailLength = Math.min(size, END_OF_CENTRAL_DIRECTORY_SIZE + MAX_ZIP_COMMENT);
+  const tail = await readBytes(filePath, size - tailLength, tailLength);
+
+  let end = -1;
+  for (let i = tail.length - END_OF_CENTRAL_DIRECTORY_SIZE; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('Not a zip archive: end of central directory not found');
+
+  const entryCount = tail.readUInt16LE(end + 10);
+  const directorySize = tail.readUInt32LE(end + 12);
+  const directoryOffset = tail.readUInt32LE(end + 16);
+  if (directoryOffset === ZIP64_MARKER || directorySize === ZIP64_MARKER) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const directory = await readBytes(filePath, directoryOffset, directorySize);
+  const entries = [];
+  let offset = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Corrupt zip archive: bad central directory entry');
+    }
+
+    const flags = directory.readUInt16LE(offset + 8);
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    const nameBytes = directory.subarray(offset + 46, offset + 46 + nameLength);
+    const entry = {
+      name: nameBytes.toString(flags & FLAG_UTF8 ? 'utf8' : 'latin1'),
+      method: directory.readUInt16LE(offset + 10),
+      flags,
+      compressedSize: directory.readUInt32LE(offset + 20),
+      size: directory.readUInt32LE(offset + 24),
+      localHeaderOffset: directory.readUInt32LE(offset + 42)
+    };
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const basename = path.posix.basename(entry.name);
+    if (entry.name.endsWith('/') || entry.name.startsWith('__MACOSX/') || basename.startsWith('.') || !isSourceFile(basename)) {
+      continue;
+    }
+    if ([entry.compressedSize, entry.size, entry.localHeaderOffset].includes(ZIP64_MARKER)) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+    if (entry.flags & FLAG_ENCRYPTED) {
+      throw new Error(`Zip entry ${entry.name} is encrypted`);
+    }
+    if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATED) {
+      throw new Error(`Zip entry ${entry.name} uses unsupported compression method ${entry.method}`);
+    }
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+/**
+ * Open a zip entry as a stream of its uncompressed bytes
+ * @param {string} filePath - Path of the archive
+ * @param {Object} entry - Entry from listZipEntries
+ * @returns {Promise<stream.Readable>} Entry contents; destroying it closes the archive
+ */
+async function openZipEntry(filePath, entry) {
+  const header = await readBytes(filePath, entry.localHeaderOffset, 30);
+  if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_FILE_HEADER) {
+    throw new Error(`Corrupt zip archive: bad local header for ${entry.name}`);
+  }
+
+  const dataStart = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  if (entry.compressedSize === 0) return stream.Readable.from([]);
+
+  const source = fs.createReadStream(filePath, { start: dataStart, end: dataStart + entry.compressedSize - 1 });
+  if (entry.method === METHOD_STORED) return source;
+
+  const inflate = zlib.createInflateRaw();
+  stream.pipeline(source, inflate, () => {});
+  return inflate;
+}
+
+/**
+ * Open the data of a file, decompressing gzip and taking the first entry of
+ * a zip archive, e.g. to sniff its format without unpacking it
+ * @param {string} filePath - Path of the file
+ * @param {string} filename - Original file name
+ * @returns {Promise<{stream: stream.Readable, filename: string, archiveType: string|null}>} Data stream and the name of the file it holds
+ * @throws {Error} If a zip archive holds no importable files
+ */
+async function openSourceData(filePath, filename) {
+  const archiveType = await detectArchiveType(filePath);
+
+  if (archiveType === 'gzip') {
+    const gunzip = zlib.createGunzip();
+    stream.pipeline(fs.createReadStream(filePath), gunzip, () => {});
+    return { stream: gunzip, filename: stripExtension(filename, '.gz'), archiveType };
+  }
+  if (archiveType === 'zip') {
+    const [entry] = await listZipEntries(filePath);
+    if (!entry) throw new Error('Zip archive contains no importable files');
+    return { stream: await openZipEntry(filePath, entry), filename: entry.name, archiveType };
+  }
+  return { stream: fs.createReadStream(filePath), filename, archiveType };
+}
+
+// Pass bytes through until more than maxBytes have gone by, then fail
+function limitSize(maxBytes, message) {
+  let total = 0;
+  return new stream.Transform({
+    transform(chunk, encoding, callback) {
+      total += chunk.length;
+      callback(total > maxBytes ? new Error(message) : null, chunk);
+    }
+  });
+}
+
+function stripExtension(filename, extension) {
+  return extension && filename.toLowerCase().endsWith(extension.toLowerCase())
+    ? filename.slice(0, -extension.length)
+    : filename;
+}
+
+// Stored name of a file unpacked next to its archive, keeping the extension
+// of the original so the format can still be told from it
+function unpackedPath(archivePath, originalName, suffix = '') {
+  const base = stripExtension(stripExtension(archivePath, '.gz'), '.zip');
+  const originalExtension = path.extname(originalName);
+  return base.toLowerCase().endsWith(originalExtension.toLowerCase()) && !suffix
+    ? base
+    : `${stripExtension(base, originalExtension)}${suffix}${originalExtension}`;
+}
+
+/**
+ * Unpack an upload or scheduled import. Plain files are returned as they
+ * are; archives are unpacked next to themselves and then removed.
+ * @param {string} filePath - Path of the file
+ * @param {string} filename - Original file name
+ * @returns {Promise<{archiveType: string|null, files: Array<{filePath: string, originalFilename: string}>}>} Files to import
+ * @throws {Error} If the archive is corrupt, unsupported or holds no importable files
+ */
+async function unpackArchive(filePath, filename) {
+  const archiveType = await detectArchiveType(filePath);
+
+  if (archiveType === 'gzip') {
+    const originalFilename = stripExtension(filename, '.gz');
+    const destination = unpackedPath(filePath, originalFilename);
+    try {
+      await pipeline(
+        fs.createReadStream(filePath),
+        zlib.createGunzip(),
+        limitSize(MAX_UNPACKED_SIZE, `Gzip file unpacks to more than ${MAX_UNPACKED_SIZE} bytes`),
+        fs.createWriteStream(destination)
+      );
+    } catch (error) {
+      fs.rmSync(destination, { force: true });
+      throw error;
+    }
+    await fs.promises.unlink(filePath);
+    return { archiveType, files: [{ filePath: destination, originalFilename }] };
+  }
+
+  if (archiveType === 'zip') {
+    const entries = await listZipEntries(filePath);
+    if (entries.length === 0) throw new Error('Zip archive contains no importable files');
+    const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+    if (totalSize > MAX_UNPACKED_SIZE) {
+      throw new Error(`Zip archive unpacks to more than ${MAX_UNPACKED_SIZE} bytes`);
+    }
+
+    const files = [];
+    try {
+      for (const [index, entry] of entries.entries()) {
+        const destination = unpackedPath(filePath, path.posix.basename(entry.name), `-${index + 1}`);
+        files.push({ filePath: destination, originalFilename: entry.name });
+        // Entries may not unpack to more than the size they declare
+        await pipeline(
+          await openZipEntry(filePath, entry),
+          limitSize(entry.size, `Zip entry ${entry.name} is corrupt`),
+          fs.createWriteStream(destination)
+        );
+
+        const { size } = await fs.promises.stat(destination);
+        if (size !== entry.size) throw new Error(`Zip entry ${entry.name} is corrupt`);
+      }
+    } catch (error) {
+      files.forEach(file => fs.rmSync(file.filePath, { force: true }));
+      throw error;
+    }
+    await fs.promises.unlink(filePath);
+    return { archiveType, files };
+  }
+
+  return { archiveType, files: [{ filePath, originalFilename: filename }] };
+}
+
+module.exports = {
+  ARCHIVE_EXTENSIONS,
+  detectArchiveType,
+  listZipEntries,
+  openSourceData,
+  unpackArchive
+};
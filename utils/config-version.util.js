@@ -0,0 +1,137 @@
+/**
+ * Config Version Utility
+ *
+ * Keeps the history of the global field-filter configuration. Every save
+ * through /config is stored in MongoDB as a new, numbered version with its
+ * author, and the version number is written into config/field-filter.config.js
+ * with the settings. Workers load versions from MongoDB rather than the file,
+ * which they may not share with the server, and record on each job the
+ * version it filtered with. Restoring an old version saves a copy of it as a new one;
+ * versions are never changed or deleted.
+ *
+ * The file's settings from before the first versioned save are stored as
+ * version 1, so they can be diffed against and restored too.
+ */
+
+const { ConfigVersionModel } = require('../models/ConfigVersion');
+
+// Attempts at taking the next version number when saves race for it
+const MAX_VERSION_ATTEMPTS = 5;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Get the part of a configuration that is versioned: everything but its
+ * version number, with recordFilter dropped like it is from the file
+ * @param {Object} config - Configuration
+ * @returns {Object} Configuration to store
+ */
+function toStoredConfig(config) {
+  const { version, ...stored } = config;
+  return JSON.parse(JSON.stringify({ ...stored, recordFilter: null }));
+}
+
+/**
+ * Read a version number from a request
+ * @param {*} value - Raw value
+ * @returns {number|null} Version number, or null when it is not a positive integer
+ */
+function parseVersion(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+/**
+ * Store a configuration as the next version
+ * @param {Object} config - Configuration being saved
+ * @param {Object} details - author, comment, restoredFrom, and previousConfig: the
+ *   file's configuration, stored as version 1 when there is no history yet
+ * @returns {Promise<Object>} The new version and the one it follows (null for the first)
+ */
+async function createConfigVersion(config, { author, comment, restoredFrom = null, previousConfig = null }) {
+  let previous = await ConfigVersionModel.findOne().sort({ version: -1 }).lean();
+
+  if (!previous && previousConfig) {
+    try {
+      previous = (await ConfigVersionModel.create({
+        version: 1,
+        config: toStoredConfig(previousConfig),
+        author: 'system',
+        comment: 'Configuration before versioning'
+      })).toObject();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Another save stored the baseline first
+      previous = await ConfigVersionModel.findOne().sort({ version: -1 }).lean();
+    }
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const saved = await ConfigVersionModel.create({
+        version: previous ? previous.version + 1 : 1,
+        config: toStoredConfig(config),
+        author: author || 'anonymous',
+        comment: comment || '',
+        restoredFrom
+      });
+      return { saved: saved.toObject(), previous };
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) throw error;
+      // A concurrent save took the number; follow that one instead
+      previous = await ConfigVersionModel.findOne().sort({ version: -1 }).lean();
+    }
+  }
+}
+
+/**
+ * Load a saved version of the configuration
+ * @param {number} [version] - Version number; the latest when not given
+ * @returns {Promise<Object|null>} The version, or null when it does not exist
+ */
+async function findConfigVersion(version = null) {
+  return version
+    ? ConfigVersionModel.findOne({ version }).lean()
+    : ConfigVersionModel.findOne().sort({ version: -1 }).lean();
+}
+
+/**
+ * List the differences between two configurations. Objects are compared key
+ * by key, with dot paths for nested keys; lists and other values as a whole.
+ * @param {Object} before - Older configuration
+ * @param {Object} after - Newer configuration
+ * @param {string} [prefix] - Path of the objects being compared
+ * @returns {Array<Object>} A {path, change, before, after} entry per difference, where change is added, removed or changed
+ */
+function diffConfigs(before, after, prefix = '') {
+  const changes = [];
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])].sort();
+
+  keys.forEach((key) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const hasBefore = Boolean(before) && Object.prototype.hasOwnProperty.call(before, key);
+    const hasAfter = Boolean(after) && Object.prototype.hasOwnProperty.call(after, key);
+
+    if (!hasBefore) {
+      changes.push({ path, change: 'added', before: null, after: after[key] });
+    } else if (!hasAfter) {
+      changes.push({ path, change: 'removed', before: before[key], after: null });
+    } else if (isPlainObject(before[key]) && isPlainObject(after[key])) {
+      changes.push(...diffConfigs(before[key], after[key], path));
+    } else if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes.push({ path, change: 'changed', before: before[key], after: after[key] });
+    }
+  });
+
+  return changes;
+}
+
+module.exports = {
+  toStoredConfig,
+  parseVersion,
+  createConfigVersion,
+  findConfigVersion,
+  diffConfigs
+};
@@ -0,0 +1,37 @@
+/**
+ * CSV Utility
+ *
+ * Helpers for writing CSV output
+ */
+
+/**
+ * Escape a single value for a CSV cell
+ * @param {*} value - Value to escape
+ * @returns {string} The value, quoted when it contains a comma, quote or newline
+ */
+function escapeCSVValue(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = typeof value === 'object' && !(value instanceof Date)
+    ? JSON.stringify(value)
+    : String(value instanceof Date ? value.toISOString() : value);
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Build a CSV line (with trailing newline) from a list of values
+ * @param {Array} values - Cell values in column order
+ * @returns {string} CSV line
+ */
+function toCSVLine(values) {
+  return values.map(escapeCSVValue).join(',') + '\n';
+}
+
+module.exports = {
+  escapeCSVValue,
+  toCSVLine
+};
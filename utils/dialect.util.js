@@ -0,0 +1,368 @@
+/**
+ * Dialect Utility
+ *
+ * Sniffs the dialect of an uploaded file from a sample of its first bytes:
+ * text encoding and BOM, line endings, quote character, escape style and
+ * delimiter. Any part of the dialect can be overridden by the user.
+ *
+ * csv-parser only handles single-byte delimiters in UTF-8 text, so files in
+ * any other encoding are converted to UTF-8 once, when the job is queued.
+ * UTF-8 files are kept as they are and the worker skips their BOM.
+ *
+ * Configured with environment variables:
+ * - DIALECT_SAMPLE_SIZE: bytes read to detect the dialect (default: 65536)
+ */
+
+const fs = require('fs');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const DIALECT_SAMPLE_SIZE = parseInt(process.env.DIALECT_SAMPLE_SIZE) || 65536;
+const DIALECT_SAMPLE_LINES = 50;
+
+const ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'latin1'];
+const NEWLINES = ['LF', 'CRLF', 'CR'];
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+const QUOTE_CANDIDATES = ['"', "'"];
+
+const DEFAULT_DIALECT = {
+  delimiter: ',',
+  quote: '"',
+  escape: '"',
+  newline: 'LF',
+  encoding: 'utf-8',
+  bom: false
+};
+
+const BOMS = {
+  'utf-8': [0xef, 0xbb, 0xbf],
+  'utf-16le': [0xff, 0xfe],
+  'utf-16be': [0xfe, 0xff]
+};
+
+// Names accepted for overrides besides the canonical ones
+const ENCODING_ALIASES = {
+  utf8: 'utf-8',
+  utf16le: 'utf-16le',
+  utf16be: 'utf-16be',
+  'latin-1': 'latin1',
+  'iso-8859-1': 'latin1',
+  'windows-1252': 'latin1'
+};
+const DELIMITER_ALIASES = { tab: '\t', '\\t': '\t' };
+
+function startsWithBom(sample, encoding) {
+  const bom = BOMS[encoding];
+  return Boolean(bom) && bom.every((byte, index) => sample[index] === byte);
+}
+
+/**
+ * Detect the text encoding of a sample
+ * @param {Buffer} sample - First bytes of the file
+ * @param {string} [encoding] - Encoding chosen by the user; only the BOM is detected then
+ * @returns {{encoding: string, bom: boolean}} One of ENCODINGS, and whether the file starts with a BOM
+ */
+function detectEncoding(sample, encoding = null) {
+  if (encoding) return { encoding, bom: startsWithBom(sample, encoding) };
+
+  const withBom = ['utf-8', 'utf-16le', 'utf-16be'].find(encoding => startsWithBom(sample, encoding));
+  if (withBom) return { encoding: withBom, bom: true };
+
+  // UTF-16 without a BOM: mostly-ASCII text has a zero in every other byte
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  }
+  const pairs = sample.length / 2;
+  if (pairs > 0 && oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) return { encoding: 'utf-16le', bom: false };
+  if (pairs > 0 && evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) return { encoding: 'utf-16be', bom: false };
+
+  // Anything that is not valid UTF-8 is taken to be Latin-1 (decoded as
+  // Windows-1252, which is what Excel exports)
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return { encoding: 'utf-8', bom: false };
+  } catch (error) {
+    return { encoding: 'latin1', bom: false };
+  }
+}
+
+/**
+ * Decode a sample to text, without its BOM
+ * @param {Buffer} sample - First bytes of the file
+ * @param {string} encoding - One of ENCODINGS
+ * @param {boolean} [truncated] - Whether the file goes on past the sample; if so the
+ *   last line, which the sample may have cut short, is left out
+ * @returns {string} Decoded text
+ */
+function decodeSample(sample, encoding, truncated = false) {
+  const text = new TextDecoder(encoding).decode(sample, { stream: true });
+  if (!truncated) return text;
+
+  const lastBreak = Math.max(text.lastIndexOf('\n'), text.lastIndexOf('\r'));
+  return lastBreak >= 0 ? text.slice(0, lastBreak + 1) : text;
+}
+
+function detectNewline(text) {
+  const crlf = (text.match(/\r\n/g) || []).length;
+  const cr = (text.match(/\r(?!\n)/g) || []).length;
+  const lf = (text.match(/(?<!\r)\n/g) || []).length;
+
+  if (crlf > 0 && crlf >= lf && crlf >= cr) return 'CRLF';
+  if (cr > lf) return 'CR';
+  return 'LF';
+}
+
+// The quote character is the one that most often opens a field, at the start
+// of a line or straight after a delimiter
+function detectQuote(text) {
+  let best = DEFAULT_DIALECT.quote;
+  let bestCount = 0;
+  QUOTE_CANDIDATES.forEach((quote) => {
+    const count = (text.match(new RegExp(`(^|[,;\\t|])${quote}`, 'gm')) || []).length;
+    if (count > bestCount) {
+      best = quote;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+// Backslash-escaped quotes (\") rather than doubled ones ("")
+function detectEscape(text, quote) {
+  const backslashed = text.split(`\\${quote}`).length - 1;
+  const doubled = text.split(`${quote}${quote}`).length - 1;
+  return backslashed > doubled ? '\\' : quote;
+}
+
+function countFields(line, delimiter, quote) {
+  let fields = 1;
+  let quoted = false;
+  for (const char of line) {
+    if (char === quote) quoted = !quoted;
+    else if (char === delimiter && !quoted) fields++;
+  }
+  return fields;
+}
+
+// The delimiter is the candidate that splits the most lines into as many
+// fields as the header line, preferring more fields on a tie
+function detectDelimiter(lines, quote) {
+  let best = { delimiter: DEFAULT_DIALECT.delimiter, consistent: 0, fields: 1 };
+  DELIMITER_CANDIDATES.forEach((delimiter) => {
+    const counts = lines.map(line => countFields(line, delimiter, quote));
+    const fields = counts[0];
+    if (!fields || fields < 2) return;
+
+    const consistent = counts.filter(count => count === fields).length;
+    if (consistent > best.consistent || (consistent === best.consistent && fields > best.fields)) {
+      best = { delimiter, consistent, fields };
+    }
+  });
+  return best.delimiter;
+}
+
+/**
+ * Detect the dialect of a sample
+ * @param {Buffer} sample - First bytes of the file
+ * @param {Object} [overrides] - Dialect fields chosen by the user, used instead of detecting them
+ * @param {boolean} [truncated] - Whether the file goes on past the sample
+ * @returns {Object} Dialect: delimiter, quote, escape, newline, encoding and bom
+ */
+function sniffDialect(sample, overrides = {}, truncated = false) {
+  const { encoding, bom } = detectEncoding(sample, overrides.encoding);
+
+  const text = decodeSample(sample, encoding, truncated);
+  const lines = text.split(/\r\n|\r|\n/).filter(line => line.length > 0).slice(0, DIALECT_SAMPLE_LINES);
+  const quote = overrides.quote || detectQuote(text);
+
+  return {
+    delimiter: overrides.delimiter || detectDelimiter(lines, quote),
+    quote,
+    escape: overrides.escape || detectEscape(text, quote),
+    newline: overrides.newline || detectNewline(text),
+    encoding,
+    bom
+  };
+}
+
+/**
+ * Read the sample the dialect is detected from
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<{sample: Buffer, truncated: boolean}>} First bytes of the file, and whether there is more
+ */
+async function readSample(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(DIALECT_SAMPLE_SIZE);
+    const { bytesRead } = await handle.read(buffer, 0, DIALECT_SAMPLE_SIZE, 0);
+    const { size } = await handle.stat();
+    return { sample: buffer.subarray(0, bytesRead), truncated: size > bytesRead };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read the sample the dialect is detected from out of a stream, such as a
+ * decompressed archive; the stream is destroyed once the sample is read
+ * @param {stream.Readable} input - Data of the file
+ * @returns {Promise<{sample: Buffer, truncated: boolean}>} First bytes of the data, and whether there is more
+ */
+function readStreamSample(input) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let length = 0;
+
+    input
+      .on('data', (chunk) => {
+        chunks.push(chunk);
+        length += chunk.length;
+        if (length > DIALECT_SAMPLE_SIZE) {
+          input.destroy();
+          resolve({ sample: Buffer.concat(chunks).subarray(0, DIALECT_SAMPLE_SIZE), truncated: true });
+        }
+      })
+      .on('end', () => resolve({ sample: Buffer.concat(chunks), truncated: false }))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Detect the dialect of a file
+ * @param {string} filePath - Path to the file
+ * @param {Object} [overrides] - Dialect fields chosen by the user
+ * @returns {Promise<Object>} Dialect
+ */
+async function detectDialect(filePath, overrides = {}) {
+  const { sample, truncated } = await readSample(filePath);
+  return sniffDialect(sample, overrides, truncated);
+}
+
+/**
+ * Read dialect overrides from request fields (delimiter, quote, escape, newline, encoding)
+ * @param {Object} fields - Request body or query
+ * @returns {Object} The overrides that were given, normalized
+ */
+function parseDialectOverrides(fields = {}) {
+  const overrides = {};
+  ['delimiter', 'quote', 'escape', 'newline', 'encoding'].forEach((name) => {
+    if (typeof fields[name] === 'string' && fields[name] !== '') {
+      overrides[name] = fields[name];
+    }
+  });
+
+  if (overrides.delimiter) {
+    overrides.delimiter = DELIMITER_ALIASES[overrides.delimiter.toLowerCase()] || overrides.delimiter;
+  }
+  if (overrides.newline) {
+    overrides.newline = overrides.newline.toUpperCase();
+  }
+  if (overrides.encoding) {
+    const encoding = overrides.encoding.toLowerCase();
+    overrides.encoding = ENCODING_ALIASES[encoding] || encoding;
+  }
+  return overrides;
+}
+
+/**
+ * Validate a dialect or a set of overrides
+ * @param {Object} dialect - Dialect fields; missing ones are not checked
+ * @returns {string|null} Error message, or null when the dialect is valid
+ */
+function validateDialect(dialect) {
+  for (const name of ['delimiter', 'quote', 'escape']) {
+    const value = dialect[name];
+    if (value !== undefined && (!/^[\x01-\x7f]$/.test(value) || /[\r\n]/.test(value))) {
+      return `Invalid ${name} ${JSON.stringify(value)}. Expected a single ASCII character other than a line break`;
+    }
+  }
+  if (dialect.delimiter !== undefined && dialect.delimiter === dialect.quote) {
+    return 'Delimiter and quote character must differ';
+  }
+  if (dialect.newline !== undefined && !NEWLINES.includes(dialect.newline)) {
+    return `Invalid newline "${dialect.newline}". Expected one of: ${NEWLINES.join(', ')}`;
+  }
+  if (dialect.encoding !== undefined && !ENCODINGS.includes(dialect.encoding)) {
+    return `Invalid encoding "${dialect.encoding}". Expected one of: ${ENCODINGS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Build csv-parser options for a dialect
+ * @param {Object} [dialect] - Dialect stored on the job; missing for jobs queued before detection
+ * @returns {Object} separator, quote, escape and, for CR-only files, newline
+ */
+function toParserOptions(dialect) {
+  // Read field by field, as the dialect may be a Mongoose subdocument
+  const pick = name => (dialect && dialect[name]) || DEFAULT_DIALECT[name];
+
+  // csv-parser splits rows on LF and drops a CR in front of it, so only
+  // CR-only files need their newline set
+  return {
+    separator: pick('delimiter'),
+    quote: pick('quote'),
+    escape: pick('escape'),
+    ...(pick('newline') === 'CR' ? { newline: '\r' } : {})
+  };
+}
+
+/**
+ * Get the byte offset of the first row of a queued file
+ * @param {Object} [dialect] - Dialect stored on the job
+ * @returns {number} Length of the UTF-8 BOM if the file has one, otherwise 0
+ */
+function getDataOffset(dialect) {
+  return dialect && dialect.encoding === 'utf-8' && dialect.bom ? BOMS['utf-8'].length : 0;
+}
+
+/**
+ * Convert a file to UTF-8 in place, unless it already is UTF-8
+ * @param {string} filePath - Path to the file
+ * @param {Object} dialect - Dialect of the file
+ * @returns {Promise<boolean>} Whether the file was converted
+ */
+async function convertToUtf8(filePath, dialect) {
+  if (dialect.encoding === 'utf-8') return false;
+
+  // The decoder drops the BOM and keeps multi-byte characters split across
+  // reads together
+  const decoder = new TextDecoder(dialect.encoding);
+  const convertedPath = `${filePath}.utf8`;
+  await pipeline(
+    fs.createReadStream(filePath),
+    new Transform({
+      transform(chunk, encoding, callback) {
+        callback(null, decoder.decode(chunk, { stream: true }));
+      },
+      flush(callback) {
+        callback(null, decoder.decode());
+      }
+    }),
+    fs.createWriteStream(convertedPath)
+  );
+  await fs.promises.rename(convertedPath, filePath);
+  return true;
+}
+
+module.exports = {
+  ENCODINGS,
+  NEWLINES,
+  DEFAULT_DIALECT,
+  detectEncoding,
+  decodeSample,
+  sniffDialect,
+  readSample,
+  readStreamSample,
+  detectDialect,
+  parseDialectOverrides,
+  validateDialect,
+  toParserOptions,
+  getDataOffset,
+  convertToUtf8
+};
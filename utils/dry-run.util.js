@@ -0,0 +1,83 @@
+/**
+ * Dry Run Utility
+ *
+ * Builds the report of a dry-run job: how many rows would be inserted,
+ * updated, skipped or rejected, a few sample rows of each, and per-field
+ * problem counts. Chunk reports are merged into the job report as chunks
+ * commit, so it is saved and resumed together with the checkpoint.
+ *
+ * Configured with environment variables:
+ * - DRY_RUN_SAMPLE_SIZE: sample rows kept per outcome (default: 5)
+ */
+
+const DRY_RUN_SAMPLE_SIZE = parseInt(process.env.DRY_RUN_SAMPLE_SIZE) || 5;
+const DRY_RUN_OUTCOMES = ['insert', 'update', 'skip', 'reject'];
+
+/**
+ * Create an empty dry-run report
+ * @returns {Object} Report with zeroed counters
+ */
+function createDryRunReport() {
+  const report = { counts: {}, samples: {}, fieldProblems: {} };
+  DRY_RUN_OUTCOMES.forEach((outcome) => {
+    report.counts[outcome] = 0;
+    report.samples[outcome] = [];
+  });
+  return report;
+}
+
+/**
+ * Record the outcome of one row
+ * @param {Object} report - Report to update
+ * @param {string} outcome - One of DRY_RUN_OUTCOMES
+ * @param {Object} sample - Row details kept as a sample (rowNumber, record, reason)
+ */
+function recordOutcome(report, outcome, sample) {
+  report.counts[outcome]++;
+  if (report.samples[outcome].length < DRY_RUN_SAMPLE_SIZE) {
+    report.samples[outcome].push(sample);
+  }
+}
+
+/**
+ * Count a problem with a field
+ * @param {Object} report - Report to update
+ * @param {string} field - Field name
+ * @param {string} problem - Problem name, e.g. castFailed, validationFailed, missingRequired, missingKey, duplicateKey
+ */
+function recordFieldProblem(report, field, problem) {
+  const problems = report.fieldProblems[field] || (report.fieldProblems[field] = {});
+  problems[problem] = (problems[problem] || 0) + 1;
+}
+
+/**
+ * Merge a chunk report into the job report
+ * @param {Object} jobReport - Job report so far (left unchanged)
+ * @param {Object} chunkReport - Report for one chunk
+ * @returns {Object} New job report including the chunk
+ */
+function mergeDryRunReport(jobReport, chunkReport) {
+  const report = JSON.parse(JSON.stringify(jobReport));
+  DRY_RUN_OUTCOMES.forEach((outcome) => {
+    report.counts[outcome] += chunkReport.counts[outcome];
+    const room = DRY_RUN_SAMPLE_SIZE - report.samples[outcome].length;
+    if (room > 0) {
+      report.samples[outcome].push(...chunkReport.samples[outcome].slice(0, room));
+    }
+  });
+  Object.entries(chunkReport.fieldProblems).forEach(([field, problems]) => {
+    Object.entries(problems).forEach(([problem, count]) => {
+      const merged = report.fieldProblems[field] || (report.fieldProblems[field] = {});
+      merged[problem] = (merged[problem] || 0) + count;
+    });
+  });
+  return report;
+}
+
+module.exports = {
+  DRY_RUN_OUTCOMES,
+  createDryRunReport,
+  recordOutcome,
+  recordFieldProblem,
+  mergeDryRunReport
+};
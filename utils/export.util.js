@@ -0,0 +1,255 @@
+/**
+ * Export Utility
+ *
+ * Streams imported records back out of a target collection as CSV or NDJSON,
+ * either straight to an HTTP response (GET /export) or to a file in
+ * EXPORT_DIR, from a background export job run by a worker. Records are read
+ * through a cursor and written with backpressure, so memory use does not
+ * grow with the size of the export.
+ *
+ * Records can be selected by the import job that wrote them (through their
+ * lineage), by exact field values and by a range of creation or update
+ * times. Columns are chosen and ordered with a list of fields, which may be
+ * dot paths into nested objects.
+ *
+ * Configured with environment variables:
+ * - EXPORT_DIR: directory background exports are written to (default: 'exports')
+ * - EXPORT_PROGRESS_INTERVAL: records between progress events of background exports (default: 10000)
+ */
+
+const mongoose = require('mongoose');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { getRecordModel, DEFAULT_TARGET_COLLECTION } = require('../models/Record');
+const { toCSVLine } = require('./csv.util');
+const { hasField, getField, setField } = require('./field-path.util');
+
+const EXPORT_DIR = process.env.EXPORT_DIR || 'exports';
+const EXPORT_PROGRESS_INTERVAL = parseInt(process.env.EXPORT_PROGRESS_INTERVAL) || 10000;
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const FORMAT_ALIASES = { jsonl: 'ndjson' };
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+};
+const DATE_FIELDS = ['createdAt', 'updatedAt'];
+
+// Lists come as comma-separated query parameters or as JSON arrays
+function splitList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+// Field names must not reach into operators
+function isFieldName(name) {
+  return typeof name === 'string' && name.split('.').every(part => part.length > 0 && !part.startsWith('$'));
+}
+
+function isValidDate(value) {
+  return !Number.isNaN(new Date(value).getTime());
+}
+
+// CSV imports store every value as a string while JSON imports keep numbers
+// and booleans, so a filter value matches any of them
+function matchValues(value) {
+  const values = [value];
+  if (value.trim() !== '' && !Number.isNaN(Number(value))) values.push(Number(value));
+  if (value === 'true' || value === 'false') values.push(value === 'true');
+  return values;
+}
+
+/**
+ * Read export options from query parameters (GET /export) or a JSON body
+ * (POST /export/jobs)
+ * @param {Object} params - Raw parameters
+ * @returns {Object} Export options, to check with validateExportOptions
+ */
+function parseExportOptions(params = {}) {
+  const format = params.format || 'csv';
+  return {
+    collection: params.collection || null,
+    format: FORMAT_ALIASES[format] || format,
+    jobId: params.jobId || null,
+    filter: params.filter || {},
+    dateField: params.dateField || 'createdAt',
+    from: params.from || null,
+    to: params.to || null,
+    fields: splitList(params.fields),
+    sort: splitList(params.sort),
+    limit: params.limit === undefined || params.limit === null || params.limit === '' ? null : Number(params.limit)
+  };
+}
+
+/**
+ * Validate export options
+ * @param {Object} options - Options from parseExportOptions
+ * @returns {string|null} Error message, or null when the options are valid
+ */
+function validateExportOptions(options) {
+  if (!EXPORT_FORMATS.includes(options.format)) {
+    return `Invalid format "${options.format}". Use one of: ${EXPORT_FORMATS.join(', ')}`;
+  }
+  if (options.jobId && !mongoose.Types.ObjectId.isValid(options.jobId)) {
+    return `Invalid job id "${options.jobId}"`;
+  }
+  if (options.filter === null || typeof options.filter !== 'object' || Array.isArray(options.filter)) {
+    return 'filter must map field names to values, e.g. filter[status]=active';
+  }
+  for (const [field, value] of Object.entries(options.filter)) {
+    if (!isFieldName(field)) return `Invalid filter field "${field}"`;
+    const values = Array.isArray(value) ? value : [value];
+    if (values.some(item => typeof item !== 'string')) {
+      return `Filter on "${field}" must be a value or a list of values`;
+    }
+  }
+  if (!DATE_FIELDS.includes(options.dateField)) {
+    return `Invalid dateField "${options.dateField}". Use one of: ${DATE_FIELDS.join(', ')}`;
+  }
+  if (options.from && !isValidDate(options.from)) return `Invalid from date "${options.from}"`;
+  if (options.to && !isValidDate(options.to)) return `Invalid to date "${options.to}"`;
+
+  const badField = options.fields.find(field => !isFieldName(field));
+  if (badField) return `Invalid field "${badField}"`;
+  // MongoDB refuses to project a field together with a path inside it
+  const overlapping = options.fields.find(field => options.fields.some(other => other.startsWith(`${field}.`)));
+  if (overlapping) return `Field "${overlapping}" overlaps another selected field`;
+
+  const badSort = options.sort.find(field => !isFieldName(field.replace(/^-/, '')));
+  if (badSort) return `Invalid sort field "${badSort}"`;
+  if (options.limit !== null && (!Number.isInteger(options.limit) || options.limit < 1)) {
+    return 'limit must be a positive integer';
+  }
+  return null;
+}
+
+/**
+ * Build the MongoDB query for an export
+ * @param {Object} options - Validated export options
+ * @param {string} [options.collection] - Collection to read (default: records)
+ * @param {string} [options.lineageField] - Lineage field of the job given by options.jobId
+ * @returns {Object} collection, filter, projection, sort and limit, plus format and fields
+ */
+function buildExportQuery(options) {
+  const filter = {};
+
+  if (options.jobId) {
+    filter[`${options.lineageField}.jobId`] = new mongoose.Types.ObjectId(options.jobId);
+  }
+  Object.entries(options.filter).forEach(([field, value]) => {
+    const values = Array.isArray(value) ? value : [value];
+    filter[field] = { $in: values.flatMap(matchValues) };
+  });
+  if (options.from || options.to) {
+    filter[options.dateField] = {
+      ...(options.from ? { $gte: new Date(options.from) } : {}),
+      ...(options.to ? { $lte: new Date(options.to) } : {})
+    };
+  }
+
+  const projection = options.fields.length > 0
+    ? Object.fromEntries([...options.fields.map(field => [field, 1]), ['_id', options.fields.includes('_id') ? 1 : 0]])
+    : { __v: 0 };
+
+  // _id breaks ties so the order is stable
+  const sort = {};
+  options.sort.forEach((field) => {
+    sort[field.replace(/^-/, '')] = field.startsWith('-') ? -1 : 1;
+  });
+  if (sort._id === undefined) sort._id = 1;
+
+  return {
+    collection: options.collection || DEFAULT_TARGET_COLLECTION,
+    filter,
+    projection,
+    sort,
+    limit: options.limit,
+    format: options.format,
+    fields: options.fields
+  };
+}
+
+/**
+ * Count the records an export will write
+ * @param {Object} query - Query from buildExportQuery
+ * @returns {Promise<number>} Record count
+ */
+async function countExport(query) {
+  const count = await getRecordModel(query.collection).countDocuments(query.filter);
+  return query.limit ? Math.min(count, query.limit) : count;
+}
+
+// Ids are written as their hex string rather than as JSON
+function toCSVValue(value) {
+  return value instanceof mongoose.Types.ObjectId ? value.toString() : value;
+}
+
+// Keep the selected fields of a record, in the order they were listed
+function pickFields(record, fields) {
+  if (fields.length === 0) return record;
+
+  const picked = {};
+  fields.forEach((field) => {
+    if (hasField(record, field)) setField(picked, field, getField(record, field));
+  });
+  return picked;
+}
+
+/**
+ * Stream the records of an export to a writable stream. Without a list of
+ * fields, the CSV columns are those of the first record.
+ * @param {Object} query - Query from buildExportQuery
+ * @param {stream.Writable} output - Destination, e.g. an HTTP response or a file
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with the number of records written so far, every EXPORT_PROGRESS_INTERVAL records
+ * @returns {Promise<number>} Number of records written
+ */
+async function streamExport(query, output, { onProgress = null } = {}) {
+  let find = getRecordModel(query.collection).find(query.filter, query.projection).sort(query.sort).lean();
+  if (query.limit) find = find.limit(query.limit);
+
+  let columns = query.fields.length > 0 ? query.fields : null;
+  let rowCount = 0;
+
+  const serialize = new Transform({
+    writableObjectMode: true,
+    transform(record, encoding, callback) {
+      let text = '';
+      if (query.format === 'ndjson') {
+        text = `${JSON.stringify(pickFields(record, query.fields))}\n`;
+      } else {
+        if (rowCount === 0) {
+          columns = columns || Object.keys(record);
+          text = toCSVLine(columns);
+        }
+        text += toCSVLine(columns.map(column => toCSVValue(getField(record, column))));
+      }
+
+      rowCount++;
+      if (onProgress && rowCount % EXPORT_PROGRESS_INTERVAL === 0) onProgress(rowCount);
+      callback(null, text);
+    },
+    flush(callback) {
+      // An empty CSV export with chosen columns still gets its header
+      if (query.format === 'csv' && rowCount === 0 && columns) this.push(toCSVLine(columns));
+      callback();
+    }
+  });
+
+  // Sorts on fields without an index may need more memory than a sort
+  // stage is allowed without spilling to disk
+  await pipeline(find.allowDiskUse(true).cursor(), serialize, output);
+  return rowCount;
+}
+
+module.exports = {
+  EXPORT_DIR,
+  EXPORT_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  parseExportOptions,
+  validateExportOptions,
+  buildExportQuery,
+  countExport,
+  streamExport
+};
@@ -2,8 +2,26 @@
  * Field Filter Utility
  * 
  * Applies field filtering configuration to CSV records during migration
+ *
+ * Field names in the configuration may be dot paths into nested objects
+ * (e.g. "address.city"), for records imported from JSON
+ *
+ * Every function takes the settings of a mapping profile as an optional last
+ * argument (see mapping-profile.util.js); without one, the global
+ * configuration file is used
  */
 
+const { hasField, getField, setField, deleteField, copyRecord } = require('./field-path.util');
+
+// Transforms transformFields can name, alone or as a list applied in order
+const NAMED_TRANSFORMS = {
+  trim: value => (typeof value === 'string' ? value.trim() : value),
+  lowercase: value => (typeof value === 'string' ? value.toLowerCase() : value),
+  uppercase: value => (typeof value === 'string' ? value.toUpperCase() : value),
+  collapseWhitespace: value => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : value)
+};
+const TRANSFORM_NAMES = Object.keys(NAMED_TRANSFORMS);
+
 let fieldFilterConfig = null;
 
 // Function to reload the configuration
@@ -36,29 +54,115 @@ if (!fieldFilterConfig.recordFilter || typeof fieldFilterConfig.recordFilter !==
 let lastConfigLoadTime = Date.now();
 const CONFIG_REFRESH_INTERVAL = 5000; // Refresh config every 5 seconds
 
-function applyFieldFilter(record) {
+// The settings records are filtered with: a job's mapping profile snapshot
+// when one is given, the global configuration otherwise
+function getConfig(config) {
+  if (config) return config;
+
   // Reload config if enough time has passed
   const now = Date.now();
   if (now - lastConfigLoadTime > CONFIG_REFRESH_INTERVAL) {
     reloadConfig();
     lastConfigLoadTime = now;
   }
-  
-  // Apply record-level filter first
-  if (fieldFilterConfig.recordFilter && typeof fieldFilterConfig.recordFilter === 'function') {
-    if (!fieldFilterConfig.recordFilter(record)) {
-      return null; // Skip this record entirely
+  return fieldFilterConfig;
+}
+
+/**
+ * Gets the global configuration as saved now, for a job to filter with from
+ * start to finish instead of picking up later saves part way through
+ * @returns {Object} Configuration, with the version it was saved as (if any)
+ */
+function getGlobalConfig() {
+  lastConfigLoadTime = Date.now();
+  return reloadConfig();
+}
+
+// Builds a transform function from a transformFields entry; JSON configuration
+// and mapping profiles cannot hold functions, so they name transforms instead
+function resolveTransform(transform) {
+  if (typeof transform === 'function') return transform;
+  const names = Array.isArray(transform) ? transform : [transform];
+  const unknown = names.find(name => !TRANSFORM_NAMES.includes(name));
+  if (unknown !== undefined) {
+    throw new Error(`Unknown transform "${unknown}". Use one or a list of: ${TRANSFORM_NAMES.join(', ')}`);
+  }
+  return value => names.reduce((result, name) => NAMED_TRANSFORMS[name](result), value);
+}
+
+/**
+ * Validates the transformFields of JSON configuration or a mapping profile,
+ * which name transforms instead of holding functions
+ * @param {Object} transformFields - Field name -> transform name, or list of them
+ * @returns {string|null} Error message, or null when every transform exists
+ */
+function validateTransformFields(transformFields) {
+  if (transformFields === null || typeof transformFields !== 'object' || Array.isArray(transformFields)) {
+    return 'transformFields must map field names to transforms';
+  }
+  for (const [field, transform] of Object.entries(transformFields)) {
+    const names = Array.isArray(transform) ? transform : [transform];
+    if (names.length === 0) return `transformFields for "${field}" must name at least one transform`;
+    const unknown = names.find(name => !TRANSFORM_NAMES.includes(name));
+    if (unknown !== undefined) {
+      return `Invalid transform "${unknown}" for "${field}". Use one or a list of: ${TRANSFORM_NAMES.join(', ')}`;
     }
   }
+  return null;
+}
+
+/**
+ * Lists the configured required fields a raw CSV record has no value for,
+ * whether or not failOnMissingRequiredFields is enabled
+ * @param {Object} record - Raw CSV record
+ * @param {Object} [config] - Mapping profile settings (default: the global configuration)
+ * @returns {Array} - Names of the missing required fields
+ */
+function getMissingRequiredFields(record, config = null) {
+  const activeConfig = getConfig(config);
+  return (activeConfig.requiredFields || []).filter((field) => {
+    const value = getField(record, field);
+    return value === null || value === undefined || value === '';
+  });
+}
+
+/**
+ * Checks whether a record passes the configured recordFilter
+ * @param {Object} record - Raw CSV record
+ * @param {Object} [config] - Mapping profile settings (default: the global configuration)
+ * @returns {boolean} - Whether the record is kept
+ */
+function matchesRecordFilter(record, config = null) {
+  const activeConfig = getConfig(config);
   // If recordFilter is null/undefined, we'll allow all records by default
+  if (activeConfig.recordFilter && typeof activeConfig.recordFilter === 'function') {
+    return Boolean(activeConfig.recordFilter(record));
+  }
+  return true;
+}
+
+/**
+ * Gets the configured per-field validation rules (see validation.util.js)
+ * @param {Object} [config] - Mapping profile settings (default: the global configuration)
+ * @returns {Object} - Field name -> rules
+ */
+function getValidationRules(config = null) {
+  return getConfig(config).validationRules || {};
+}
+
+function applyFieldFilter(record, config = null) {
+  const activeConfig = getConfig(config);
+  
+  // Apply record-level filter first
+  if (!matchesRecordFilter(record, activeConfig)) {
+    return null; // Skip this record entirely
+  }
 
-  let filteredRecord = { ...record };
+  let filteredRecord = copyRecord(record);
 
   // Check for required fields if configured
-  if (fieldFilterConfig.failOnMissingRequiredFields && fieldFilterConfig.requiredFields.length > 0) {
-    const missingRequiredFields = fieldFilterConfig.requiredFields.filter(field => 
-      !filteredRecord.hasOwnProperty(field) || filteredRecord[field] === null || filteredRecord[field] === undefined || filteredRecord[field] === ''
-    );
+  if (activeConfig.failOnMissingRequiredFields) {
+    const missingRequiredFields = getMissingRequiredFields(filteredRecord, activeConfig);
 
     if (missingRequiredFields.length > 0) {
       throw new Error(`Missing required fields: ${missingRequiredFields.join(', ')}`);
@@ -66,17 +170,18 @@ function applyFieldFilter(record) {
   }
 
   // Apply field renaming
-  Object.entries(fieldFilterConfig.renameFields).forEach(([oldName, newName]) => {
-    if (filteredRecord.hasOwnProperty(oldName)) {
-      filteredRecord[newName] = filteredRecord[oldName];
-      delete filteredRecord[oldName];
+  Object.entries(activeConfig.renameFields).forEach(([oldName, newName]) => {
+    if (hasField(filteredRecord, oldName)) {
+      const value = getField(filteredRecord, oldName);
+      deleteField(filteredRecord, oldName);
+      setField(filteredRecord, newName, value);
     }
   });
 
   // Apply field transformations
-  Object.entries(fieldFilterConfig.transformFields).forEach(([fieldName, transformFn]) => {
-    if (filteredRecord.hasOwnProperty(fieldName)) {
-      filteredRecord[fieldName] = transformFn(filteredRecord[fieldName]);
+  Object.entries(activeConfig.transformFields).forEach(([fieldName, transformFn]) => {
+    if (hasField(filteredRecord, fieldName)) {
+      setField(filteredRecord, fieldName, resolveTransform(transformFn)(getField(filteredRecord, fieldName)));
     }
   });
 
@@ -84,36 +189,48 @@ function applyFieldFilter(record) {
   const result = {};
   
   // If includeFields is specified and not empty, only include those fields
-  if (fieldFilterConfig.includeFields && fieldFilterConfig.includeFields.length > 0) {
-    fieldFilterConfig.includeFields.forEach(field => {
-      if (filteredRecord.hasOwnProperty(field)) {
-        if (fieldFilterConfig.missingFieldHandling.includeEmptyValues || 
-            filteredRecord[field] !== null && 
-            filteredRecord[field] !== undefined && 
-            filteredRecord[field] !== '') {
-          result[field] = filteredRecord[field];
-        } else if (fieldFilterConfig.missingFieldHandling.defaultValue !== null) {
-          result[field] = fieldFilterConfig.missingFieldHandling.defaultValue;
+  if (activeConfig.includeFields && activeConfig.includeFields.length > 0) {
+    activeConfig.includeFields.forEach(field => {
+      // A dot path is kept nested in the result, unless it names a
+      // top-level field of the record
+      const include = value => (Object.prototype.hasOwnProperty.call(filteredRecord, field)
+        ? (result[field] = value)
+        : setField(result, field, value));
+      const value = getField(filteredRecord, field);
+
+      if (hasField(filteredRecord, field)) {
+        if (activeConfig.missingFieldHandling.includeEmptyValues || 
+            value !== null && 
+            value !== undefined && 
+            value !== '') {
+          include(value);
+        } else if (activeConfig.missingFieldHandling.defaultValue !== null) {
+          include(activeConfig.missingFieldHandling.defaultValue);
         }
-      } else if (fieldFilterConfig.missingFieldHandling.defaultValue !== null) {
-        result[field] = fieldFilterConfig.missingFieldHandling.defaultValue;
+      } else if (activeConfig.missingFieldHandling.defaultValue !== null) {
+        include(activeConfig.missingFieldHandling.defaultValue);
       }
     });
   } else {
     // If no includeFields specified, process all fields
     Object.keys(filteredRecord).forEach(field => {
       // Check if field should be excluded
-      if (fieldFilterConfig.excludeFields && !fieldFilterConfig.excludeFields.includes(field)) {
-        if (fieldFilterConfig.missingFieldHandling.includeEmptyValues || 
+      if (activeConfig.excludeFields && !activeConfig.excludeFields.includes(field)) {
+        if (activeConfig.missingFieldHandling.includeEmptyValues || 
             filteredRecord[field] !== null && 
             filteredRecord[field] !== undefined && 
             filteredRecord[field] !== '') {
           result[field] = filteredRecord[field];
-        } else if (fieldFilterConfig.missingFieldHandling.defaultValue !== null) {
-          result[field] = fieldFilterConfig.missingFieldHandling.defaultValue;
+        } else if (activeConfig.missingFieldHandling.defaultValue !== null) {
+          result[field] = activeConfig.missingFieldHandling.defaultValue;
         }
       }
     });
+
+    // Excluded dot paths are removed from the nested objects they point into
+    (activeConfig.excludeFields || [])
+      .filter(field => field.includes('.') && !Object.prototype.hasOwnProperty.call(filteredRecord, field))
+      .forEach(field => deleteField(result, field));
   }
 
   return result;
@@ -122,22 +239,25 @@ function applyFieldFilter(record) {
 /**
  * Applies field filtering to an array of CSV records
  * @param {Array} records - Array of CSV records to filter
+ * @param {Object} [config] - Mapping profile settings (default: the global configuration)
  * @returns {Array} - Array of filtered records
  */
-function applyFieldFilterToRecords(records) {
+function applyFieldFilterToRecords(records, config = null) {
   // Reload config to ensure we have the latest configuration
-  const now = Date.now();
-  if (now - lastConfigLoadTime > CONFIG_REFRESH_INTERVAL) {
-    reloadConfig();
-    lastConfigLoadTime = now;
-  }
+  const activeConfig = getConfig(config);
   
   return records
-    .map(record => applyFieldFilter(record))
+    .map(record => applyFieldFilter(record, activeConfig))
     .filter(record => record !== null); // Remove records that were filtered out
 }
 
 module.exports = {
+  TRANSFORM_NAMES,
+  getGlobalConfig,
+  validateTransformFields,
   applyFieldFilter,
-  applyFieldFilterToRecords
+  applyFieldFilterToRecords,
+  getMissingRequiredFields,
+  matchesRecordFilter,
+  getValidationRules
 };
\ No newline at end of file
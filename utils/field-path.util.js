@@ -0,0 +1,99 @@
+/**
+ * Field Path Utility
+ *
+ * Reads and writes record fields by name, where a name may be a dot path
+ * into nested objects (e.g. "address.city"), as JSON sources produce. A
+ * top-level field whose name contains a dot, as a CSV header may, takes
+ * precedence over the path.
+ */
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+// Find the object holding a field and the field's key in it; with create,
+// missing intermediate objects are added
+function resolveField(record, field, create = false) {
+  if (Object.prototype.hasOwnProperty.call(record, field) || !field.includes('.')) {
+    return { parent: record, key: field };
+  }
+
+  const parts = field.split('.');
+  let parent = record;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(parent[part])) {
+      if (!create) return null;
+      parent[part] = {};
+    }
+    parent = parent[part];
+  }
+  return { parent, key: parts[parts.length - 1] };
+}
+
+/**
+ * Check whether a record has a field
+ * @param {Object} record - Record
+ * @param {string} field - Field name or dot path
+ * @returns {boolean} Whether the field is present
+ */
+function hasField(record, field) {
+  const resolved = resolveField(record, field);
+  return Boolean(resolved) && Object.prototype.hasOwnProperty.call(resolved.parent, resolved.key);
+}
+
+/**
+ * Get the value of a field
+ * @param {Object} record - Record
+ * @param {string} field - Field name or dot path
+ * @returns {*} The value, or undefined if the field is missing
+ */
+function getField(record, field) {
+  const resolved = resolveField(record, field);
+  return resolved ? resolved.parent[resolved.key] : undefined;
+}
+
+/**
+ * Set the value of a field, adding nested objects along its path as needed
+ * @param {Object} record - Record to change
+ * @param {string} field - Field name or dot path
+ * @param {*} value - New value
+ */
+function setField(record, field, value) {
+  const { parent, key } = resolveField(record, field, true);
+  parent[key] = value;
+}
+
+/**
+ * Remove a field
+ * @param {Object} record - Record to change
+ * @param {string} field - Field name or dot path
+ */
+function deleteField(record, field) {
+  const resolved = resolveField(record, field);
+  if (resolved) delete resolved.parent[resolved.key];
+}
+
+/**
+ * Copy a record deeply enough that changing nested fields of the copy leaves
+ * the original alone
+ * @param {Object} record - Record
+ * @returns {Object} Copy
+ */
+function copyRecord(record) {
+  if (Array.isArray(record)) return record.map(copyRecord);
+  if (!isPlainObject(record)) return record;
+
+  const copy = {};
+  Object.keys(record).forEach((key) => {
+    copy[key] = copyRecord(record[key]);
+  });
+  return copy;
+}
+
+module.exports = {
+  hasField,
+  getField,
+  setField,
+  deleteField,
+  copyRecord
+};
@@ -0,0 +1,225 @@
+/**
+ * Field Types Utility
+ *
+ * Infers a type for each column from a sample of parsed rows and casts
+ * values to the column types confirmed by the user before records are
+ * filtered and written. CSV values all arrive as strings; JSON values keep
+ * their own types and are only cast where they differ.
+ *
+ * Types:
+ * - string:  left as it is
+ * - integer: whole number within JavaScript's safe integer range
+ * - decimal: any number
+ * - boolean: true/false, yes/no, y/n, t/f or 1/0
+ * - date:    ISO 8601 date or date-time (YYYY-MM-DD, optionally with a time);
+ *            times without an offset are taken as UTC
+ * - null:    only empty values; never inferred, since a column left blank in
+ *            the sample may still have values further on, so it is a string
+ *
+ * Empty values ('', null, NULL, N/A, NA, none, nil, -) become null in every
+ * column except string ones. Numbers with leading zeros, like postcodes, are
+ * inferred as strings so the zeros are kept.
+ *
+ * Configured with environment variables:
+ * - FIELD_TYPE_SAMPLE_ROWS: rows of the preview sample types are inferred from (default: 100)
+ */
+
+const { hasField, getField, setField, copyRecord } = require('./field-path.util');
+
+const FIELD_TYPE_SAMPLE_ROWS = parseInt(process.env.FIELD_TYPE_SAMPLE_ROWS) || 100;
+
+const FIELD_TYPES = ['string', 'integer', 'decimal', 'boolean', 'date', 'null'];
+
+const NULL_VALUES = ['', 'null', 'n/a', 'na', 'none', 'nil', '-'];
+const TRUE_VALUES = ['true', 'yes', 'y', 't', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', 'f', '0'];
+// Words inferred as booleans; 1/0 columns are integers and t/f too terse
+const INFERRED_BOOLEANS = ['true', 'false', 'yes', 'no', 'y', 'n'];
+
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+const DECIMAL_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const LEADING_ZERO_PATTERN = /^[+-]?0\d/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function isNullish(value) {
+  return value === null || value === undefined ||
+    (typeof value === 'string' && NULL_VALUES.includes(value.trim().toLowerCase()));
+}
+
+function parseDate(text) {
+  const match = DATE_PATTERN.exec(text);
+  if (!match) return null;
+
+  const [, year, month, day, hours = '00', minutes = '00', seconds = '00', fraction = '', zone = 'Z'] = match;
+  // Reject days that don't exist, like 2024-02-30, which Date rolls over
+  const calendarDay = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (calendarDay.getUTCMonth() !== Number(month) - 1 || calendarDay.getUTCDate() !== Number(day)) return null;
+
+  const date = new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}${fraction}${zone}`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Cast one value to a type
+ * @param {*} value - Value as parsed
+ * @param {string} type - One of FIELD_TYPES
+ * @returns {{value: *, error: string|null}} Cast value, or an error when it does not fit the type
+ */
+function castValue(value, type) {
+  if (type === 'string') return { value, error: null };
+  if (isNullish(value)) return { value: null, error: null };
+
+  const text = typeof value === 'string' ? value.trim() : value;
+  switch (type) {
+    case 'integer':
+      if (typeof text === 'number' && Number.isSafeInteger(text)) return { value: text, error: null };
+      if (typeof text === 'string' && INTEGER_PATTERN.test(text) && Number.isSafeInteger(Number(text))) {
+        return { value: Number(text), error: null };
+      }
+      return { value, error: 'expected an integer' };
+    case 'decimal':
+      if (typeof text === 'number' && Number.isFinite(text)) return { value: text, error: null };
+      if (typeof text === 'string' && DECIMAL_PATTERN.test(text)) return { value: Number(text), error: null };
+      return { value, error: 'expected a number' };
+    case 'boolean': {
+      if (typeof text === 'boolean') return { value: text, error: null };
+      const word = String(text).toLowerCase();
+      if (TRUE_VALUES.includes(word)) return { value: true, error: null };
+      if (FALSE_VALUES.includes(word)) return { value: false, error: null };
+      return { value, error: 'expected true/false or yes/no' };
+    }
+    case 'date': {
+      const date = typeof text === 'string' ? parseDate(text) : null;
+      return date ? { value: date, error: null } : { value, error: 'expected a date (YYYY-MM-DD)' };
+    }
+    case 'null':
+      return { value, error: 'expected an empty value' };
+    default:
+      return { value, error: `unknown type "${type}"` };
+  }
+}
+
+// The narrowest type a single non-empty value fits
+function inferValueType(value) {
+  if (typeof value === 'number') return Number.isSafeInteger(value) ? 'integer' : 'decimal';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+  if (LEADING_ZERO_PATTERN.test(text)) return 'string';
+  if (INTEGER_PATTERN.test(text) && Number.isSafeInteger(Number(text))) return 'integer';
+  if (DECIMAL_PATTERN.test(text)) return 'decimal';
+  if (INFERRED_BOOLEANS.includes(text.toLowerCase())) return 'boolean';
+  if (parseDate(text)) return 'date';
+  return 'string';
+}
+
+/**
+ * Infer a type for every column of a sample of rows. Nested objects and
+ * arrays are not typed.
+ * @param {Array<Object>} rows - Parsed rows
+ * @returns {Object} Column name -> one of FIELD_TYPES
+ */
+function inferFieldTypes(rows) {
+  const seen = {};
+
+  rows.forEach((row) => {
+    Object.entries(row).forEach(([field, value]) => {
+      if (!(field in seen)) seen[field] = new Set();
+      if (isNullish(value)) return;
+      seen[field].add(inferValueType(value));
+    });
+  });
+
+  const fieldTypes = {};
+  Object.entries(seen).forEach(([field, types]) => {
+    if (types.has(null)) return;
+    // Nothing in the sample to go by, so values are left as they are
+    if (types.size === 0) fieldTypes[field] = 'string';
+    else if (types.size === 1) fieldTypes[field] = [...types][0];
+    else if (types.size === 2 && types.has('integer') && types.has('decimal')) fieldTypes[field] = 'decimal';
+    else fieldTypes[field] = 'string';
+  });
+  return fieldTypes;
+}
+
+/**
+ * Read field types sent as a JSON form field
+ * @param {string|Object} [value] - Raw value
+ * @returns {Object|string|null} Field types, the raw value when it is not JSON (for validateFieldTypes to report), or null when not given
+ */
+function parseFieldTypes(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Validate field types chosen by the user
+ * @param {Object|null} fieldTypes - Field name (or dot path) -> type
+ * @returns {string|null} Error message, or null when the types are valid or not given
+ */
+function validateFieldTypes(fieldTypes) {
+  if (fieldTypes === null) return null;
+  if (typeof fieldTypes !== 'object' || Array.isArray(fieldTypes)) {
+    return 'fieldTypes must be a JSON object mapping field names to types';
+  }
+  for (const [field, type] of Object.entries(fieldTypes)) {
+    if (!FIELD_TYPES.includes(type)) {
+      return `Invalid type "${type}" for field "${field}". Use one of: ${FIELD_TYPES.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Cast the fields of a record to their types; fields without a type or
+ * missing from the record are left alone
+ * @param {Object} record - Parsed row
+ * @param {Object} fieldTypes - Field name (or dot path) -> type
+ * @returns {{record: Object, errors: Array<Object>}} Cast copy of the record, and a {field, value, type, error} entry per value that did not fit
+ */
+function castRecord(record, fieldTypes) {
+  const cast = copyRecord(record);
+  const errors = [];
+
+  Object.entries(fieldTypes).forEach(([field, type]) => {
+    if (!hasField(cast, field)) return;
+
+    const value = getField(cast, field);
+    const result = castValue(value, type);
+    if (result.error) {
+      errors.push({ field, value, type, error: result.error });
+    } else {
+      setField(cast, field, result.value);
+    }
+  });
+
+  return { record: cast, errors };
+}
+
+/**
+ * Describe the cast errors of a row, e.g. for its quarantine reason
+ * @param {Array<Object>} errors - Errors from castRecord
+ * @returns {string} Description
+ */
+function describeCastErrors(errors) {
+  return errors
+    .map(({ field, value, type, error }) => `${field}: cannot cast ${JSON.stringify(value)} to ${type}, ${error}`)
+    .join('; ');
+}
+
+module.exports = {
+  FIELD_TYPE_SAMPLE_ROWS,
+  FIELD_TYPES,
+  castValue,
+  inferFieldTypes,
+  parseFieldTypes,
+  validateFieldTypes,
+  castRecord,
+  describeCastErrors
+};
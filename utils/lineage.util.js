@@ -0,0 +1,82 @@
+/**
+ * Lineage Utility
+ *
+ * Builds the lineage sub-document stamped on imported records and reads the
+ * original source row back for a record through it
+ *
+ * Configured with environment variables:
+ * - LINEAGE_ENABLED: set to 'false' to stop stamping lineage (default: enabled)
+ * - LINEAGE_FIELD:   name of the sub-document field (default: '_import')
+ */
+
+const fs = require('fs');
+const { createRowParser } = require('./source-reader.util');
+
+const DEFAULT_LINEAGE_FIELD = '_import';
+
+/**
+ * Get the lineage field name to use for new jobs
+ * @returns {string|null} Field name, or null when lineage is disabled
+ */
+function getLineageField() {
+  if (process.env.LINEAGE_ENABLED === 'false') return null;
+  return process.env.LINEAGE_FIELD || DEFAULT_LINEAGE_FIELD;
+}
+
+/**
+ * Build the lineage sub-document for one record
+ * @param {Object} source - Job-level lineage (jobId, sourceFile, checksum)
+ * @param {Object} row - Row-level details (rowNumber, byteOffset, importedAt)
+ * @returns {Object} Lineage sub-document
+ */
+function buildLineage({ jobId, sourceFile, checksum }, { rowNumber, byteOffset, importedAt }) {
+  return {
+    jobId,
+    sourceFile,
+    checksum,
+    rowNumber,
+    byteOffset,
+    importedAt
+  };
+}
+
+/**
+ * Read a single source row starting at a byte offset
+ * @param {string} filePath - Path to the source file
+ * @param {number} byteOffset - Offset of the first byte of the row
+ * @param {Object} source - How to parse the file
+ * @param {string} source.format - Format of the file, as stored on its job
+ * @param {Object} [source.dialect] - Dialect of the file, as stored on its job
+ * @param {Array<string>} [source.headers] - Header row of a CSV file
+ * @returns {Promise<Object|null>} The parsed row, or null if there is none at the offset
+ */
+function readSourceRow(filePath, byteOffset, { format, dialect = null, headers = null }) {
+  return new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(filePath, { start: byteOffset });
+    const parser = createRowParser({ format, dialect }, { headers, resumed: true });
+    let settled = false;
+
+    const finish = (error, row) => {
+      if (settled) return;
+      settled = true;
+      stream.destroy();
+      parser.destroy();
+      if (error) reject(error);
+      else resolve(row);
+    };
+
+    stream
+      .on('error', finish)
+      .pipe(parser)
+      .on('data', ({ row }) => finish(null, row))
+      .on('end', () => finish(null, null))
+      .on('error', finish);
+  });
+}
+
+module.exports = {
+  DEFAULT_LINEAGE_FIELD,
+  getLineageField,
+  buildLineage,
+  readSourceRow
+};
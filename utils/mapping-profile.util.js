@@ -0,0 +1,147 @@
+/**
+ * Mapping Profile Utility
+ *
+ * Mapping profiles are named sets of field filter settings (include/exclude,
+ * rename, transforms, required fields and validation rules) plus a target
+ * collection, stored in MongoDB. An upload, preview or scheduled import
+ * directory can name one instead of relying on the global configuration
+ * file, so people importing different kinds of file don't overwrite each
+ * other's settings through POST /config.
+ *
+ * A job keeps a snapshot of its profile's settings taken when it was queued;
+ * the worker filters with the snapshot, so editing or deleting the profile
+ * afterwards does not change jobs already queued.
+ *
+ * Profiles are plain JSON, so they cannot hold a recordFilter function, and
+ * transformFields name transforms (trim, lowercase, uppercase,
+ * collapseWhitespace) instead of holding functions.
+ */
+
+const mongoose = require('mongoose');
+const { MappingProfileModel } = require('../models/MappingProfile');
+const { validateTransformFields } = require('./field-filter.util');
+const { validateValidationRules } = require('./validation.util');
+const { validateCollectionName } = require('./target-collection.util');
+
+const MAX_PROFILE_NAME_LENGTH = 100;
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Read a profile from a request body, filling in defaults for settings that
+ * are left out
+ * @param {Object} body - Raw profile
+ * @returns {Object} Profile, to check with validateProfile
+ */
+function parseProfile(body = {}) {
+  return {
+    name: typeof body.name === 'string' ? body.name.trim() : body.name,
+    description: body.description || '',
+    targetCollection: body.targetCollection || null,
+    ...getProfileSettings(body)
+  };
+}
+
+/**
+ * Validate a profile; whether its target collection is on the allowlist is
+ * checked separately, with checkTargetCollection
+ * @param {Object} profile - Profile from parseProfile
+ * @returns {string|null} Error message, or null when the profile is valid
+ */
+function validateProfile(profile) {
+  if (typeof profile.name !== 'string' || profile.name.length === 0) {
+    return 'Profile name is required';
+  }
+  if (profile.name.length > MAX_PROFILE_NAME_LENGTH) {
+    return `Profile name must be at most ${MAX_PROFILE_NAME_LENGTH} characters`;
+  }
+  if (typeof profile.description !== 'string') return 'description must be a string';
+
+  for (const list of ['includeFields', 'excludeFields', 'requiredFields']) {
+    if (!isStringList(profile[list])) return `${list} must be a list of field names`;
+  }
+  if (!isPlainObject(profile.renameFields) ||
+    !Object.values(profile.renameFields).every(name => typeof name === 'string' && name.length > 0)) {
+    return 'renameFields must map field names to new names';
+  }
+  const transformError = validateTransformFields(profile.transformFields);
+  if (transformError) return transformError;
+  if (!isPlainObject(profile.missingFieldHandling) || typeof profile.missingFieldHandling.includeEmptyValues !== 'boolean') {
+    return 'missingFieldHandling must be an object with a boolean includeEmptyValues';
+  }
+  if (typeof profile.failOnMissingRequiredFields !== 'boolean') {
+    return 'failOnMissingRequiredFields must be true or false';
+  }
+
+  const rulesError = validateValidationRules(profile.validationRules);
+  if (rulesError) return rulesError;
+
+  return profile.targetCollection ? validateCollectionName(profile.targetCollection) : null;
+}
+
+/**
+ * Get the field filter settings of a profile, or of a job's snapshot of one,
+ * with defaults for anything missing, in the shape the field filter takes
+ * @param {Object} profile - Profile document, request body or snapshot settings
+ * @returns {Object} Field filter settings
+ */
+function getProfileSettings(profile) {
+  const missingFieldHandling = profile.missingFieldHandling || {};
+  return {
+    includeFields: profile.includeFields || [],
+    excludeFields: profile.excludeFields || [],
+    renameFields: profile.renameFields || {},
+    transformFields: profile.transformFields || {},
+    missingFieldHandling: {
+      includeEmptyValues: missingFieldHandling.includeEmptyValues !== undefined ? missingFieldHandling.includeEmptyValues : true,
+      defaultValue: missingFieldHandling.defaultValue !== undefined ? missingFieldHandling.defaultValue : null
+    },
+    requiredFields: profile.requiredFields || [],
+    failOnMissingRequiredFields: profile.failOnMissingRequiredFields !== undefined ? profile.failOnMissingRequiredFields : false,
+    validationRules: profile.validationRules || {}
+  };
+}
+
+/**
+ * Snapshot a profile for a job
+ * @param {Object} profile - Profile document
+ * @returns {Object} profileId, name, updatedAt and settings
+ */
+function snapshotProfile(profile) {
+  return {
+    profileId: profile._id,
+    name: profile.name,
+    updatedAt: profile.updatedAt,
+    settings: getProfileSettings(profile)
+  };
+}
+
+/**
+ * Find the profile an upload, preview or scheduled import names
+ * @param {string} profileId - Profile id
+ * @returns {Promise<Object>} The profile, or an error with its status code
+ */
+async function findMappingProfile(profileId) {
+  if (!mongoose.Types.ObjectId.isValid(profileId)) {
+    return { status: 400, error: `Invalid profile id "${profileId}"` };
+  }
+  const profile = await MappingProfileModel.findById(profileId).lean();
+  if (!profile) {
+    return { status: 404, error: 'Mapping profile not found' };
+  }
+  return { profile };
+}
+
+module.exports = {
+  parseProfile,
+  validateProfile,
+  getProfileSettings,
+  snapshotProfile,
+  findMappingProfile
+};
@@ -0,0 +1,151 @@
+/**
+ * Metrics Utility
+ *
+ * A small registry of counters, gauges and histograms rendered in the
+ * Prometheus text exposition format. Each process keeps its own registry:
+ * the server serves it on GET /metrics and the worker on its own port.
+ * Gauges describing shared state (queue depth, heartbeats) are filled in by
+ * collectors that run on every scrape.
+ *
+ * Configured with environment variables:
+ * - WORKER_METRICS_PORT: port the worker serves /metrics on (default: 9091, 0 to disable)
+ */
+
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const metrics = new Map();
+const collectors = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels = {}) {
+  const pairs = Object.keys(labels).sort().map(name => `${name}="${escapeLabelValue(labels[name])}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Metrics are registered once per process; registering a name again returns
+// the existing metric
+function register(name, help, type, extra = {}) {
+  if (!metrics.has(name)) {
+    metrics.set(name, { name, help, type, series: new Map(), ...extra });
+  }
+  return metrics.get(name);
+}
+
+/**
+ * Create a counter
+ * @param {string} name - Metric name, ending in _total
+ * @param {string} help - Description
+ * @returns {{inc: Function}} inc(labels, value = 1)
+ */
+function createCounter(name, help) {
+  const metric = register(name, help, 'counter');
+  return {
+    inc(labels = {}, value = 1) {
+      const key = formatLabels(labels);
+      metric.series.set(key, (metric.series.get(key) || 0) + value);
+    }
+  };
+}
+
+/**
+ * Create a gauge
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @returns {{set: Function, remove: Function, reset: Function}} set(labels, value), remove(labels), reset()
+ */
+function createGauge(name, help) {
+  const metric = register(name, help, 'gauge');
+  return {
+    set(labels, value) {
+      metric.series.set(formatLabels(labels), value);
+    },
+    remove(labels) {
+      metric.series.delete(formatLabels(labels));
+    },
+    reset() {
+      metric.series.clear();
+    }
+  };
+}
+
+/**
+ * Create a histogram
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<number>} [buckets] - Upper bounds of the buckets, ascending
+ * @returns {{observe: Function}} observe(labels, value)
+ */
+function createHistogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const metric = register(name, help, 'histogram', { buckets });
+  return {
+    observe(labels, value) {
+      const key = formatLabels(labels);
+      let series = metric.series.get(key);
+      if (!series) {
+        series = { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 };
+        metric.series.set(key, series);
+      }
+      metric.buckets.forEach((bound, index) => {
+        if (value <= bound) series.counts[index]++;
+      });
+      series.sum += value;
+      series.count++;
+    }
+  };
+}
+
+/**
+ * Register a function run before every render, to refresh gauges
+ * @param {Function} collect - May be async; errors are logged and skipped
+ */
+function addCollector(collect) {
+  collectors.push(collect);
+}
+
+/**
+ * Render every metric in the text exposition format
+ * @returns {Promise<string>} Metrics text
+ */
+async function renderMetrics() {
+  for (const collect of collectors) {
+    try {
+      await collect();
+    } catch (error) {
+      console.error('Error collecting metrics:', error.message);
+    }
+  }
+
+  const lines = [];
+  for (const metric of metrics.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+    for (const [key, value] of metric.series) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${key} ${value}`);
+        continue;
+      }
+
+      metric.buckets.forEach((bound, index) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...value.labels, le: bound })} ${value.counts[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...value.labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${metric.name}_sum${key} ${value.sum}`);
+      lines.push(`${metric.name}_count${key} ${value.count}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  METRICS_CONTENT_TYPE,
+  createCounter,
+  createGauge,
+  createHistogram,
+  addCollector,
+  renderMetrics
+};
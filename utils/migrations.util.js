@@ -0,0 +1,36 @@
+/**
+ * Migrations Utility
+ *
+ * Brings collections created by older versions of the app up to date when
+ * the server starts. Every step can run any number of times.
+ */
+
+const { JobModel } = require('../models/Job');
+
+/**
+ * Replace the unique checksum_1 index on jobs with the partial index that
+ * lets dry runs share a checksum with an import. Jobs from before dry runs
+ * have no dryRun field, so it is filled in first for the partial index to
+ * cover them.
+ * @returns {Promise<void>}
+ */
+async function migrateJobIndexes() {
+  const backfill = await JobModel.collection.updateMany(
+    { dryRun: { $exists: false } },
+    { $set: { dryRun: false } }
+  );
+  if (backfill.modifiedCount > 0) {
+    console.log(`Set dryRun: false on ${backfill.modifiedCount} jobs from before dry runs`);
+  }
+
+  // Drops checksum_1, which the schema no longer declares, and builds the
+  // partial index Mongoose could not create while it was there
+  const dropped = await JobModel.syncIndexes();
+  if (dropped.length > 0) {
+    console.log(`Dropped outdated job indexes: ${dropped.join(', ')}`);
+  }
+}
+
+module.exports = {
+  migrateJobIndexes
+};
@@ -0,0 +1,116 @@
+/**
+ * Progress Bus Utility
+ *
+ * Carries progress events between processes through a capped MongoDB
+ * collection: workers publish events, and every server tails the collection
+ * with a tailable cursor and hands each event to its SSE clients. This works
+ * whether the worker runs in the server's process or its own container.
+ *
+ * Events are read back in the order they were published, the collection's
+ * natural order. Their ObjectIds are not ordered across processes or hosts,
+ * so reading on after an event skips through it rather than asking for
+ * larger ids.
+ *
+ * Configured with environment variables:
+ * - PROGRESS_EVENTS_SIZE: capped collection size in bytes (default: 16 MB)
+ * - PROGRESS_EVENTS_MAX:  maximum number of events kept (default: 50000)
+ */
+
+const { ProgressEventModel } = require('../models/ProgressEvent');
+
+const RECONNECT_DELAY = 1000;
+
+/**
+ * Publish a progress event
+ * Failures are logged rather than thrown, so progress reporting can never
+ * fail a job.
+ * @param {Object} event - Event as sent to SSE clients (type, jobId, ...)
+ * @returns {Promise<Object|null>} The stored event, or null if publishing failed
+ */
+async function publishProgress(event) {
+  try {
+    return await ProgressEventModel.create({
+      jobId: event.jobId || null,
+      type: event.type || 'progress',
+      data: event
+    });
+  } catch (error) {
+    console.error('Error publishing progress event:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Make a filter that passes the events published after a given one, for a
+ * read of the bus in natural order. When that event has dropped off the
+ * capped collection, every event left is newer and all of them pass.
+ * @param {Object} query - Query the events are read with
+ * @param {ObjectId|string|null} lastId - Id of the last event already seen
+ * @returns {Promise<Function>} Called with each event read; true when it is new
+ */
+async function afterEvent(query, lastId) {
+  let skipping = Boolean(lastId) && Boolean(await ProgressEventModel.exists({ ...query, _id: lastId }));
+  return (event) => {
+    if (!skipping) return true;
+    if (String(event._id) === String(lastId)) skipping = false;
+    return false;
+  };
+}
+
+/**
+ * Tail the progress bus, calling onEvent for every event published from now on
+ * @param {Function} onEvent - Called with (data, storedEvent) for each event
+ * @returns {Function} Call to stop tailing
+ */
+function subscribeProgress(onEvent) {
+  let stopped = false;
+  let cursor = null;
+  let lastId = null;
+
+  const tail = async () => {
+    while (!stopped) {
+      try {
+        // Make sure the capped collection exists before tailing it
+        await ProgressEventModel.init();
+
+        if (!lastId) {
+          // Start after the newest event so old ones are not re-sent
+          const [newest] = await ProgressEventModel.find({}, { _id: 1 }).sort({ $natural: -1 }).limit(1).lean();
+          lastId = newest ? newest._id : null;
+        }
+
+        // A tailable cursor on an empty collection closes straight away, and
+        // the loop waits below before trying again
+        const isNew = await afterEvent({}, lastId);
+        cursor = ProgressEventModel.collection.find({}, { tailable: true, awaitData: true });
+
+        for await (const event of cursor) {
+          if (!isNew(event)) continue;
+          lastId = event._id;
+          onEvent(event.data, event);
+        }
+      } catch (error) {
+        if (!stopped) {
+          console.error('Progress bus cursor error:', error.message);
+        }
+      }
+
+      if (!stopped) {
+        await new Promise(resolve => setTimeout(resolve, RECONNECT_DELAY));
+      }
+    }
+  };
+
+  tail();
+
+  return () => {
+    stopped = true;
+    if (cursor) cursor.close().catch(() => {});
+  };
+}
+
+module.exports = {
+  afterEvent,
+  publishProgress,
+  subscribeProgress
+};
@@ -0,0 +1,59 @@
+/**
+ * Progress Utility
+ *
+ * Derives byte-based progress, throughput and ETA for a running import
+ */
+
+/**
+ * Calculate progress statistics for a job
+ * @param {Object} stats - Raw counters for the job
+ * @param {number} stats.processedBytes - Bytes of the file committed so far
+ * @param {number} stats.fileSize - Total size of the file in bytes
+ * @param {number} stats.processedRows - Rows committed so far
+ * @param {Date|string|number} stats.startedAt - When processing started
+ * @param {Object} [stats.resumedFrom] - Bytes and rows already committed before
+ *   this run started; they count towards the percentage but not the rate
+ * @returns {Object} percentage, rowsPerSecond and etaSeconds (null when unknown)
+ */
+function calculateProgress({ processedBytes = 0, fileSize = 0, processedRows = 0, startedAt = null, resumedFrom = null }) {
+  const percentage = fileSize > 0
+    ? Math.min(100, Math.round((processedBytes / fileSize) * 100))
+    : 0;
+
+  const elapsedSeconds = startedAt ? (Date.now() - new Date(startedAt).getTime()) / 1000 : 0;
+  if (elapsedSeconds <= 0) {
+    return { percentage, rowsPerSecond: 0, etaSeconds: null };
+  }
+
+  const resumedBytes = (resumedFrom && resumedFrom.byteOffset) || 0;
+  const resumedRows = (resumedFrom && resumedFrom.rowNumber) || 0;
+  const rowsPerSecond = Math.round(Math.max(0, processedRows - resumedRows) / elapsedSeconds);
+  const bytesPerSecond = Math.max(0, processedBytes - resumedBytes) / elapsedSeconds;
+  const etaSeconds = bytesPerSecond > 0
+    ? Math.max(0, Math.round((fileSize - processedBytes) / bytesPerSecond))
+    : null;
+
+  return { percentage, rowsPerSecond, etaSeconds };
+}
+
+/**
+ * Format an ETA in seconds as a short human readable string
+ * @param {number|null} etaSeconds - Seconds remaining
+ * @returns {string} e.g. "1h 2m", "3m 20s", "45s" or "unknown"
+ */
+function formatEta(etaSeconds) {
+  if (etaSeconds === null || etaSeconds === undefined) return 'unknown';
+
+  const hours = Math.floor(etaSeconds / 3600);
+  const minutes = Math.floor((etaSeconds % 3600) / 60);
+  const seconds = etaSeconds % 60;
+
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+}
+
+module.exports = {
+  calculateProgress,
+  formatEta
+};
@@ -0,0 +1,65 @@
+/**
+ * Queue Utility
+ *
+ * Queue names, priorities and worker queue subscriptions
+ *
+ * Workers subscribe to queues with WORKER_QUEUES, a comma-separated list of
+ * queue names, each optionally followed by ":<concurrency>", e.g.
+ * "csv-migration:2,urgent:1" (default: "csv-migration:1")
+ */
+
+const DEFAULT_QUEUE = 'csv-migration';
+const QUEUE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Validate a queue name
+ * @param {string} name - Queue name
+ * @returns {string|null} Error message, or null when the name is valid
+ */
+function validateQueueName(name) {
+  if (typeof name !== 'string' || !QUEUE_NAME_PATTERN.test(name)) {
+    return `Invalid queue name "${name}". Use up to 64 letters, digits, "_" or "-"`;
+  }
+  return null;
+}
+
+/**
+ * Parse a job priority; higher priorities are taken first
+ * @param {*} value - Raw priority (number or numeric string)
+ * @returns {number} Integer priority, 0 when not given, NaN when invalid
+ */
+function parsePriority(value) {
+  if (value === undefined || value === null || value === '') return 0;
+  const priority = Number(value);
+  return Number.isInteger(priority) ? priority : NaN;
+}
+
+/**
+ * Parse a worker's queue subscriptions
+ * @param {string} [value] - WORKER_QUEUES value
+ * @returns {Array<{queueName: string, concurrency: number}>} Queues to poll
+ * @throws {Error} If a queue name or concurrency is invalid
+ */
+function parseQueueSubscriptions(value) {
+  const entries = (value || DEFAULT_QUEUE).split(',').map(entry => entry.trim()).filter(Boolean);
+
+  return entries.map((entry) => {
+    const [queueName, rawConcurrency] = entry.split(':').map(part => part.trim());
+    const error = validateQueueName(queueName);
+    if (error) throw new Error(error);
+
+    const concurrency = rawConcurrency === undefined ? 1 : Number(rawConcurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`Invalid concurrency "${rawConcurrency}" for queue "${queueName}"`);
+    }
+
+    return { queueName, concurrency };
+  });
+}
+
+module.exports = {
+  DEFAULT_QUEUE,
+  validateQueueName,
+  parsePriority,
+  parseQueueSubscriptions
+};
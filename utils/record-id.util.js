@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Build a deterministic ObjectId for a source row of a job
+ *
+ * The first 4 bytes keep the timestamp of the job id, so records still sort
+ * roughly by import time; the remaining 8 bytes come from a hash of the job id
+ * and row number. Replaying a chunk after a crash therefore produces the same
+ * _id values and the duplicates are rejected by the _id index instead of being
+ * inserted twice.
+ * @param {string|mongoose.Types.ObjectId} jobId - Id of the job importing the row
+ * @param {number} rowNumber - 1-based data row number within the source file
+ * @returns {mongoose.Types.ObjectId} Deterministic ObjectId for the row
+ */
+function rowObjectId(jobId, rowNumber) {
+  const jobIdHex = jobId.toString();
+  const hash = crypto.createHash('sha256').update(`${jobIdHex}:${rowNumber}`).digest();
+  const bytes = Buffer.concat([Buffer.from(jobIdHex.slice(0, 8), 'hex'), hash.subarray(0, 8)]);
+  return new mongoose.Types.ObjectId(bytes);
+}
+
+module.exports = {
+  rowObjectId
+};
@@ -0,0 +1,156 @@
+/**
+ * Rollback Utility
+ *
+ * Undoes a job by restoring the records it overwrote (from snapshots) and
+ * deleting the records it created. Records are found through their lineage
+ * sub-document, so only records still stamped with the job's id are touched;
+ * anything a later job has written since is left alone.
+ */
+
+const { JobModel } = require('../models/Job');
+const { AuditLogModel } = require('../models/AuditLog');
+const { RecordSnapshotModel } = require('../models/RecordSnapshot');
+const { getRecordModel } = require('../models/Record');
+const { rowObjectId } = require('./record-id.util');
+
+const ROLLBACK_BATCH_SIZE = parseInt(process.env.ROLLBACK_BATCH_SIZE) || 1000;
+const ROLLBACKABLE_STATUSES = ['COMPLETED', 'COMPLETED_WITH_ERRORS', 'FAILED', 'DEAD_LETTER', 'CANCELLED'];
+
+/**
+ * Check whether a job can be rolled back
+ * @param {Object} job - Job document
+ * @returns {string|null} Error message, or null when the job can be rolled back
+ */
+function validateRollback(job) {
+  if (!ROLLBACKABLE_STATUSES.includes(job.status)) {
+    return `Cannot roll back a job with status ${job.status}`;
+  }
+  if (job.dryRun) {
+    return 'Dry-run jobs do not write any records';
+  }
+  if (!job.lineageField) {
+    return 'Job was imported without lineage, so its records cannot be identified';
+  }
+  return null;
+}
+
+/**
+ * Atomically move a job into ROLLING_BACK so only one rollback runs at a time
+ * @param {string} jobId - Id of the job
+ * @returns {Promise<Object|null>} The job as it was before the claim, or null if it is not rollbackable
+ */
+async function claimRollback(jobId) {
+  return JobModel.findOneAndUpdate(
+    { _id: jobId, status: { $in: ROLLBACKABLE_STATUSES }, dryRun: { $ne: true }, lineageField: { $ne: null } },
+    { status: 'ROLLING_BACK' },
+    { new: false }
+  );
+}
+
+/**
+ * Roll back a job claimed with claimRollback
+ * @param {Object} job - Job document as returned by claimRollback
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with (percentage, message, stats) after each batch
+ * @param {string} [options.finalStatus] - Status to leave the job in (default ROLLED_BACK)
+ * @returns {Promise<Object>} Counts of restored, deleted and skipped records
+ */
+async function rollbackJob(job, { onProgress = () => {}, finalStatus = 'ROLLED_BACK' } = {}) {
+  const RecordModel = getRecordModel(job.targetCollection);
+  const ownedByJob = { [`${job.lineageField}.jobId`]: job._id };
+  const stats = { restoredRows: 0, deletedRows: 0, skippedRows: 0 };
+
+  const auditBase = { jobId: job._id, targetCollection: job.targetCollection };
+  await AuditLogModel.create({ ...auditBase, action: 'ROLLBACK', meta: { phase: 'START', previousStatus: job.status } });
+
+  try {
+    const totalRecords = await RecordModel.countDocuments(ownedByJob);
+    const report = (message) => {
+      const done = stats.restoredRows + stats.deletedRows + stats.skippedRows;
+      const percentage = totalRecords > 0 ? Math.min(100, Math.round((done / totalRecords) * 100)) : 100;
+      onProgress(percentage, message, { ...stats, totalRecords });
+    };
+
+    // 1. Put back the versions the job overwrote. The raw collection is used so
+    // the snapshot is restored exactly, without Mongoose touching timestamps.
+    let batch = [];
+    const restoreBatch = async () => {
+      const result = await RecordModel.collection.bulkWrite(batch.map(snapshot => ({
+        replaceOne: {
+          filter: { _id: snapshot.recordId, ...ownedByJob },
+          replacement: snapshot.document
+        }
+      })), { ordered: false });
+
+      stats.restoredRows += result.matchedCount;
+      await AuditLogModel.create({ ...auditBase, action: 'ROLLBACK', meta: { phase: 'RESTORE', batchSize: batch.length, restoredCount: result.matchedCount } });
+      report(`Restored ${stats.restoredRows} records`);
+      batch = [];
+    };
+
+    for await (const snapshot of RecordSnapshotModel.find({ jobId: job._id }).lean().cursor()) {
+      batch.push(snapshot);
+      if (batch.length >= ROLLBACK_BATCH_SIZE) await restoreBatch();
+    }
+    if (batch.length > 0) await restoreBatch();
+
+    // 2. Delete what the job created. Insert jobs created every record they
+    // own; with snapshots every overwritten record has been restored above.
+    // Otherwise only records flagged as created in their lineage (or, for
+    // jobs from before the flag, carrying the job's row-derived _id) were
+    // created by it, and the rest (updated in place) are skipped.
+    const deleteAll = job.writeMode === 'insert' || job.takeSnapshots;
+    let ids = [];
+    const deleteBatch = async () => {
+      const result = await RecordModel.deleteMany({ _id: { $in: ids }, ...ownedByJob });
+      stats.deletedRows += result.deletedCount;
+      await AuditLogModel.create({ ...auditBase, action: 'ROLLBACK', meta: { phase: 'DELETE', batchSize: ids.length, deletedCount: result.deletedCount } });
+      report(`Deleted ${stats.deletedRows} records`);
+      ids = [];
+    };
+
+    const records = RecordModel.find(ownedByJob, { _id: 1, [`${job.lineageField}.rowNumber`]: 1, [`${job.lineageField}.created`]: 1 })
+      .sort({ _id: 1 })
+      .lean()
+      .cursor();
+    for await (const record of records) {
+      const lineage = record[job.lineageField] || {};
+      const createdByJob = deleteAll || lineage.created === true ||
+        (typeof lineage.rowNumber === 'number' && rowObjectId(job._id, lineage.rowNumber).equals(record._id));
+
+      if (createdByJob) {
+        ids.push(record._id);
+        if (ids.length >= ROLLBACK_BATCH_SIZE) await deleteBatch();
+      } else {
+        stats.skippedRows++;
+      }
+    }
+    if (ids.length > 0) await deleteBatch();
+
+    await RecordSnapshotModel.deleteMany({ jobId: job._id });
+    await JobModel.findByIdAndUpdate(job._id, {
+      status: finalStatus,
+      rolledBackAt: new Date(),
+      rollback: { ...stats, error: null }
+    });
+    await AuditLogModel.create({ ...auditBase, action: 'ROLLBACK', meta: { phase: 'COMPLETE', ...stats } });
+
+    onProgress(100, `Rollback complete: ${stats.restoredRows} restored, ${stats.deletedRows} deleted, ${stats.skippedRows} skipped`, { ...stats, totalRecords, status: finalStatus });
+    return stats;
+  } catch (error) {
+    // Leave the job as it was so the rollback can be retried
+    await JobModel.findByIdAndUpdate(job._id, {
+      status: job.status,
+      rollback: { ...stats, error: error.message }
+    });
+    await AuditLogModel.create({ ...auditBase, action: 'ROLLBACK', meta: { phase: 'FAILED', ...stats, error: error.message, stack: error.stack } });
+    throw error;
+  }
+}
+
+module.exports = {
+  ROLLBACKABLE_STATUSES,
+  validateRollback,
+  claimRollback,
+  rollbackJob
+};
@@ -0,0 +1,277 @@
+/**
+ * Source Reader Utility
+ *
+ * Reads rows from an uploaded file in any of the supported formats:
+ * - csv: delimited text, parsed with csv-parser in the file's dialect
+ * - jsonl: JSON Lines (also .ndjson), one object per line
+ * - json: a top-level JSON array of objects
+ *
+ * Every format is parsed by a stream emitting { row, byteOffset }, the shape
+ * of csv-parser's outputByteOffset mode, so the worker chunks, checkpoints
+ * and resumes all of them the same way. JSON rows keep their nested objects.
+ * JSON files in an encoding other than UTF-8 are converted when the job is
+ * queued, like CSV files.
+ */
+
+const path = require('path');
+const { Transform } = require('stream');
+const csv = require('csv-parser');
+const { readSample, detectEncoding, decodeSample, sniffDialect, toParserOptions } = require('./dialect.util');
+
+const SOURCE_FORMATS = ['csv', 'jsonl', 'json'];
+
+const FORMAT_EXTENSIONS = {
+  '.csv': 'csv',
+  '.tsv': 'csv',
+  '.txt': 'csv',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+  '.json': 'json'
+};
+
+const WHITESPACE = new Set([0x20, 0x09, 0x0a, 0x0d]);
+const QUOTE = 0x22;
+const BACKSLASH = 0x5c;
+const COMMA = 0x2c;
+const OPEN_BRACE = 0x7b;
+const CLOSE_BRACE = 0x7d;
+const OPEN_BRACKET = 0x5b;
+const CLOSE_BRACKET = 0x5d;
+const NEWLINE = 0x0a;
+
+// Parse one JSON row; rows must be objects so the field filter can apply
+function parseRow(text) {
+  let row;
+  try {
+    row = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON row ${text.slice(0, 50)}: ${error.message}`);
+  }
+  if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+    throw new Error(`Expected a JSON object, found ${text.slice(0, 50)}`);
+  }
+  return row;
+}
+
+// Emits { row, byteOffset } for each line of a JSON Lines file; blank lines
+// are skipped
+class JsonLinesParser extends Transform {
+  constructor() {
+    super({ readableObjectMode: true });
+    this.rest = null; // Bytes of an unfinished line
+    this.restOffset = 0; // Stream offset of this.rest, or of the next chunk
+  }
+
+  _transform(chunk, encoding, callback) {
+    const buffer = this.rest ? Buffer.concat([this.rest, chunk]) : chunk;
+    const bufferOffset = this.restOffset;
+    let start = 0;
+    let end;
+
+    try {
+      while ((end = buffer.indexOf(NEWLINE, start)) !== -1) {
+        this.parseLine(buffer.subarray(start, end), bufferOffset + start);
+        start = end + 1;
+      }
+    } catch (error) {
+      return callback(error);
+    }
+
+    this.rest = start < buffer.length ? buffer.subarray(start) : null;
+    this.restOffset = bufferOffset + start;
+    callback();
+  }
+
+  _flush(callback) {
+    try {
+      if (this.rest) this.parseLine(this.rest, this.restOffset);
+    } catch (error) {
+      return callback(error);
+    }
+    callback();
+  }
+
+  parseLine(line, byteOffset) {
+    const text = line.toString('utf8').trim();
+    if (text) this.push({ row: parseRow(text), byteOffset });
+  }
+}
+
+// Emits { row, byteOffset } for each object of a top-level JSON array,
+// holding only the current object in memory. A resumed parser starts inside
+// the array, at a checkpoint between two objects.
+class JsonArrayParser extends Transform {
+  constructor({ resumed = false } = {}) {
+    super({ readableObjectMode: true });
+    this.inArray = resumed;
+    this.arrayClosed = false;
+    this.offset = 0; // Stream offset of the current chunk
+    this.depth = 0; // Nesting depth inside the current object, 0 between objects
+    this.inString = false;
+    this.escaped = false;
+    this.objectOffset = 0; // Stream offset of the current object
+    this.parts = []; // Bytes of the current object from earlier chunks
+  }
+
+  _transform(chunk, encoding, callback) {
+    let partStart = this.depth > 0 ? 0 : -1;
+
+    for (let i = 0; i < chunk.length; i++) {
+      const byte = chunk[i];
+
+      if (this.depth > 0) {
+        if (this.inString) {
+          if (this.escaped) this.escaped = false;
+          else if (byte === BACKSLASH) this.escaped = true;
+          else if (byte === QUOTE) this.inString = false;
+        } else if (byte === QUOTE) {
+          this.inString = true;
+        } else if (byte === OPEN_BRACE || byte === OPEN_BRACKET) {
+          this.depth++;
+        } else if ((byte === CLOSE_BRACE || byte === CLOSE_BRACKET) && --this.depth === 0) {
+          this.parts.push(chunk.subarray(partStart, i + 1));
+          partStart = -1;
+          try {
+            this.pushObject();
+          } catch (error) {
+            return callback(error);
+          }
+        }
+        continue;
+      }
+
+      // Between objects: only the array's punctuation is expected
+      if (this.arrayClosed || WHITESPACE.has(byte)) continue;
+      if (!this.inArray) {
+        if (byte !== OPEN_BRACKET) return callback(new Error('Expected a JSON array of objects'));
+        this.inArray = true;
+      } else if (byte === CLOSE_BRACKET) {
+        this.arrayClosed = true;
+      } else if (byte === OPEN_BRACE) {
+        this.depth = 1;
+        this.objectOffset = this.offset + i;
+        partStart = i;
+      } else if (byte !== COMMA) {
+        return callback(new Error(`Expected only objects in the JSON array, found "${String.fromCharCode(byte)}"`));
+      }
+    }
+
+    if (partStart >= 0) this.parts.push(chunk.subarray(partStart));
+    this.offset += chunk.length;
+    callback();
+  }
+
+  _flush(callback) {
+    if (this.depth > 0) return callback(new Error('Unexpected end of file inside a JSON object'));
+    callback();
+  }
+
+  pushObject() {
+    const text = Buffer.concat(this.parts).toString('utf8');
+    this.parts = [];
+    this.push({ row: parseRow(text), byteOffset: this.objectOffset });
+  }
+}
+
+/**
+ * Validate a source format chosen by the user
+ * @param {string} [format] - Format
+ * @returns {string|null} Error message, or null when the format is valid or not given
+ */
+function validateFormat(format) {
+  if (format && !SOURCE_FORMATS.includes(format)) {
+    return `Invalid format "${format}". Use one of: ${SOURCE_FORMATS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Check whether a file name has the extension of a format that can be imported
+ * @param {string} filename - File name
+ * @returns {boolean} Whether the file can be imported
+ */
+function isSourceFile(filename) {
+  return Boolean(FORMAT_EXTENSIONS[path.extname(filename).toLowerCase()]);
+}
+
+/**
+ * Detect the format of a file from its extension, or from its first
+ * character when the extension does not tell (a .json file holding one
+ * object per line is read as JSON Lines)
+ * @param {string} filename - Original file name
+ * @param {string} text - Decoded sample of the file
+ * @returns {string} One of SOURCE_FORMATS
+ */
+function detectFormat(filename, text) {
+  const byExtension = FORMAT_EXTENSIONS[path.extname(filename || '').toLowerCase()];
+  if (byExtension === 'csv' || byExtension === 'jsonl') return byExtension;
+
+  const start = text.trimStart();
+  if (start.startsWith('[')) return 'json';
+  if (start.startsWith('{')) return 'jsonl';
+  return byExtension || 'csv';
+}
+
+/**
+ * Detect the format and dialect of a file from a sample of its first bytes
+ * @param {Buffer} sample - First bytes of the file
+ * @param {string} filename - Original file name
+ * @param {Object} [overrides] - Format and dialect fields chosen by the user
+ * @param {string} [overrides.format] - Format
+ * @param {Object} [overrides.dialect] - Dialect fields, as from parseDialectOverrides
+ * @param {boolean} [truncated] - Whether the sample is shorter than the file
+ * @returns {{format: string, dialect: Object}} Format, and the dialect (only encoding and BOM for JSON)
+ */
+function sniffSource(sample, filename, { format = null, dialect = {} } = {}, truncated = false) {
+  const { encoding, bom } = detectEncoding(sample, dialect.encoding);
+  const sourceFormat = format || detectFormat(filename, decodeSample(sample, encoding));
+
+  if (sourceFormat === 'csv') {
+    return { format: sourceFormat, dialect: sniffDialect(sample, dialect, truncated) };
+  }
+  return { format: sourceFormat, dialect: { encoding, bom } };
+}
+
+/**
+ * Detect the format and dialect of a file
+ * @param {string} filePath - Path of the file
+ * @param {string} filename - Original file name
+ * @param {Object} [overrides] - Format and dialect fields chosen by the user
+ * @returns {Promise<{format: string, dialect: Object}>} Format and dialect
+ */
+async function detectSource(filePath, filename, overrides = {}) {
+  const { sample, truncated } = await readSample(filePath);
+  return sniffSource(sample, filename, overrides, truncated);
+}
+
+/**
+ * Create a stream parsing a file's bytes into { row, byteOffset } objects,
+ * with offsets relative to the start of the stream
+ * @param {Object} source - Format and dialect of the file, e.g. a job
+ * @param {Object} [options]
+ * @param {Array<string>} [options.headers] - CSV headers, when the stream starts after the header line
+ * @param {boolean} [options.resumed] - Whether the stream starts at a checkpoint rather than the start of the data
+ * @returns {Transform} Parser stream
+ */
+function createRowParser({ format, dialect }, { headers = null, resumed = false } = {}) {
+  switch (format || 'csv') {
+    case 'jsonl':
+      return new JsonLinesParser();
+    case 'json':
+      return new JsonArrayParser({ resumed });
+    default: {
+      const options = { ...toParserOptions(dialect), outputByteOffset: true };
+      return csv(headers ? { ...options, headers } : options);
+    }
+  }
+}
+
+module.exports = {
+  SOURCE_FORMATS,
+  validateFormat,
+  isSourceFile,
+  detectFormat,
+  sniffSource,
+  detectSource,
+  createRowParser
+};
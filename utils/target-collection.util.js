@@ -0,0 +1,54 @@
+/**
+ * Target Collection Utility
+ *
+ * Validates the collection an import writes to against the naming rules and
+ * the allowlist stored in the TargetCollection collection
+ */
+
+const { TargetCollectionModel } = require('../models/TargetCollection');
+const { DEFAULT_TARGET_COLLECTION } = require('../models/Record');
+
+// Collections used by the migration system itself can never be import targets
+const RESERVED_COLLECTIONS = ['jobs', 'auditlogs', 'quarantinedrows', 'targetcollections', 'recordsnapshots', 'progressevents', 'batches', 'mappingprofiles', 'configversions'];
+const COLLECTION_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+
+/**
+ * Check that a collection name is well formed and not reserved
+ * @param {string} name - Collection name
+ * @returns {string|null} Error message, or null when the name is valid
+ */
+function validateCollectionName(name) {
+  if (typeof name !== 'string' || !COLLECTION_NAME_PATTERN.test(name)) {
+    return `Invalid collection name "${name}". Use letters, digits, "_" or "-", starting with a letter (max 64 characters)`;
+  }
+  if (name.startsWith('system') || RESERVED_COLLECTIONS.includes(name.toLowerCase())) {
+    return `Collection "${name}" is reserved`;
+  }
+  return null;
+}
+
+/**
+ * Check that imports may write to a collection
+ * The default records collection is always allowed; any other collection must
+ * be on the allowlist.
+ * @param {string} name - Collection name
+ * @returns {Promise<string|null>} Error message, or null when the target is allowed
+ */
+async function checkTargetCollection(name) {
+  if (name === DEFAULT_TARGET_COLLECTION) return null;
+
+  const nameError = validateCollectionName(name);
+  if (nameError) return nameError;
+
+  const allowed = await TargetCollectionModel.exists({ name });
+  if (!allowed) {
+    return `Collection "${name}" is not in the allowlist`;
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_TARGET_COLLECTION,
+  validateCollectionName,
+  checkTargetCollection
+};
@@ -0,0 +1,215 @@
+/**
+ * Validation Utility
+ *
+ * Checks records against the per-field rules in the validationRules section
+ * of the field-filter configuration, e.g.
+ *
+ *   validationRules: {
+ *     Email: { format: 'email', unique: true },
+ *     Age: { min: 18, max: 65 },
+ *     City: { allowedValues: ['Bangalore', 'Pune', 'New Delhi'] },
+ *     Code: { regex: '^[A-Z]{3}-\\d+$', maxLength: 10 }
+ *   }
+ *
+ * Rules are plain JSON so they can be saved through POST /config. They apply
+ * to source field names (before renaming), after values have been cast to
+ * their column types. Empty values pass every rule; requiredFields covers
+ * those.
+ *
+ * Rules:
+ * - regex:         the value matches the pattern (a string, without slashes)
+ * - min / max:     the number, or date, is within the bound (inclusive)
+ * - allowedValues: the value is one of a list
+ * - maxLength:     the value has at most this many characters
+ * - format:        'email', 'phone' or 'date' (ISO 8601)
+ * - unique:        no earlier row of the same file has the same value
+ */
+
+const { hasField, getField } = require('./field-path.util');
+const { castValue } = require('./field-types.util');
+
+const VALIDATION_RULES = ['regex', 'min', 'max', 'allowedValues', 'maxLength', 'format', 'unique'];
+const VALIDATION_FORMATS = ['email', 'phone', 'date'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Digits with the usual separators and an optional leading +
+const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+const PHONE_DIGITS = { min: 7, max: 15 };
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+function isBound(value) {
+  return typeof value === 'number' || (typeof value === 'string' && !Number.isNaN(new Date(value).getTime()));
+}
+
+// Dates, and values checked against a date bound, are compared as dates
+// whether or not their column was cast; anything else as numbers
+function toComparable(value, bound) {
+  if (value instanceof Date || (typeof bound === 'string' && Number.isNaN(Number(bound)))) {
+    const date = value instanceof Date ? value : castValue(String(value), 'date').value;
+    return { kind: 'date', value: date instanceof Date ? date.getTime() : NaN, bound: new Date(bound).getTime() };
+  }
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  return { kind: 'number', value: String(value).trim() === '' ? NaN : number, bound: Number(bound) };
+}
+
+function checkFormat(value, format) {
+  const text = String(value).trim();
+  switch (format) {
+    case 'email':
+      return EMAIL_PATTERN.test(text) ? null : 'is not a valid email address';
+    case 'phone': {
+      const digits = text.replace(/\D/g, '').length;
+      return PHONE_PATTERN.test(text) && digits >= PHONE_DIGITS.min && digits <= PHONE_DIGITS.max
+        ? null
+        : 'is not a valid phone number';
+    }
+    case 'date':
+      return value instanceof Date || !castValue(text, 'date').error ? null : 'is not a valid date (YYYY-MM-DD)';
+    default:
+      return `has unknown format "${format}"`;
+  }
+}
+
+// Values are told apart by their JSON, so 1 and "1" differ but two equal
+// dates do not
+function uniqueKey(value) {
+  return JSON.stringify(value instanceof Date ? value.toISOString() : value);
+}
+
+/**
+ * Validate the validationRules section of a configuration
+ * @param {Object} [rules] - Field name (or dot path) -> rules
+ * @returns {string|null} Error message, or null when the rules are valid
+ */
+function validateValidationRules(rules) {
+  if (rules === undefined || rules === null) return null;
+  if (typeof rules !== 'object' || Array.isArray(rules)) {
+    return 'validationRules must map field names to rules';
+  }
+
+  for (const [field, fieldRules] of Object.entries(rules)) {
+    if (fieldRules === null || typeof fieldRules !== 'object' || Array.isArray(fieldRules)) {
+      return `Rules for "${field}" must be an object`;
+    }
+    const unknown = Object.keys(fieldRules).find(rule => !VALIDATION_RULES.includes(rule));
+    if (unknown) {
+      return `Unknown rule "${unknown}" for "${field}". Use any of: ${VALIDATION_RULES.join(', ')}`;
+    }
+
+    const { regex, min, max, allowedValues, maxLength, format, unique } = fieldRules;
+    if (regex !== undefined) {
+      if (typeof regex !== 'string') return `regex for "${field}" must be a string`;
+      try {
+        new RegExp(regex);
+      } catch (error) {
+        return `Invalid regex for "${field}": ${error.message}`;
+      }
+    }
+    if (min !== undefined && !isBound(min)) return `min for "${field}" must be a number or a date`;
+    if (max !== undefined && !isBound(max)) return `max for "${field}" must be a number or a date`;
+    if (allowedValues !== undefined && (!Array.isArray(allowedValues) || allowedValues.length === 0)) {
+      return `allowedValues for "${field}" must be a non-empty list`;
+    }
+    if (maxLength !== undefined && (!Number.isInteger(maxLength) || maxLength < 1)) {
+      return `maxLength for "${field}" must be a positive integer`;
+    }
+    if (format !== undefined && !VALIDATION_FORMATS.includes(format)) {
+      return `Invalid format "${format}" for "${field}". Use one of: ${VALIDATION_FORMATS.join(', ')}`;
+    }
+    if (unique !== undefined && typeof unique !== 'boolean') return `unique for "${field}" must be true or false`;
+  }
+  return null;
+}
+
+/**
+ * Create the state unique rules keep while the rows of one file are checked
+ * @returns {Object} State holding the values seen so far per field
+ */
+function createValidationState() {
+  return { seen: {} };
+}
+
+/**
+ * Tell whether any field has a unique rule, so the values seen before a
+ * resumed job's checkpoint need to be read again
+ * @param {Object} rules - Field name -> rules
+ * @returns {boolean} Whether a unique rule is configured
+ */
+function hasUniqueRules(rules) {
+  return Object.values(rules || {}).some(fieldRules => fieldRules.unique === true);
+}
+
+/**
+ * Check a record against the validation rules. Rows must be checked in file
+ * order with the same state for unique rules to hold across chunks.
+ * @param {Object} record - Row, after casting
+ * @param {Object} rules - Field name (or dot path) -> rules
+ * @param {Object} [state] - State from createValidationState; without one, unique rules are not checked
+ * @returns {Array<Object>} A {field, rule, value, error} entry per rule the record fails
+ */
+function validateRecord(record, rules, state = null) {
+  const errors = [];
+
+  Object.entries(rules || {}).forEach(([field, fieldRules]) => {
+    if (!hasField(record, field)) return;
+    const value = getField(record, field);
+    if (isEmpty(value)) return;
+
+    const fail = (rule, error) => errors.push({ field, rule, value, error });
+
+    if (fieldRules.regex !== undefined && !new RegExp(fieldRules.regex).test(String(value))) {
+      fail('regex', `does not match ${fieldRules.regex}`);
+    }
+    ['min', 'max'].forEach((rule) => {
+      if (fieldRules[rule] === undefined) return;
+      const compared = toComparable(value, fieldRules[rule]);
+      if (Number.isNaN(compared.value)) {
+        fail(rule, `is not a ${compared.kind}`);
+      } else if (rule === 'min' ? compared.value < compared.bound : compared.value > compared.bound) {
+        fail(rule, `is ${rule === 'min' ? 'less' : 'greater'} than ${fieldRules[rule]}`);
+      }
+    });
+    if (fieldRules.allowedValues !== undefined && !fieldRules.allowedValues.map(String).includes(String(value))) {
+      fail('allowedValues', `is not one of ${fieldRules.allowedValues.join(', ')}`);
+    }
+    if (fieldRules.maxLength !== undefined && String(value).length > fieldRules.maxLength) {
+      fail('maxLength', `is longer than ${fieldRules.maxLength} characters`);
+    }
+    if (fieldRules.format !== undefined) {
+      const formatError = checkFormat(value, fieldRules.format);
+      if (formatError) fail('format', formatError);
+    }
+    if (fieldRules.unique === true && state) {
+      const seen = state.seen[field] || (state.seen[field] = new Set());
+      const key = uniqueKey(value);
+      if (seen.has(key)) fail('unique', 'was already used by an earlier row');
+      else seen.add(key);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Describe the validation errors of a row, e.g. for its quarantine reason
+ * @param {Array<Object>} errors - Errors from validateRecord
+ * @returns {string} Description
+ */
+function describeValidationErrors(errors) {
+  return errors
+    .map(({ field, rule, value, error }) => `${field} failed ${rule}: ${JSON.stringify(value)} ${error}`)
+    .join('; ');
+}
+
+module.exports = {
+  VALIDATION_RULES,
+  VALIDATION_FORMATS,
+  validateValidationRules,
+  createValidationState,
+  hasUniqueRules,
+  validateRecord,
+  describeValidationErrors
+};
@@ -0,0 +1,135 @@
+/**
+ * Write Mode Utility
+ *
+ * Turns filtered CSV records into bulkWrite operations for the configured
+ * write mode:
+ * - insert:  always insert a new document
+ * - upsert:  update the document matching the key fields, or insert it
+ * - replace: replace the whole document matching the key fields, or insert it
+ * - merge:   like upsert, but only non-empty values overwrite existing fields
+ *
+ * Key fields may be dot paths into nested objects
+ */
+
+const { getField } = require('./field-path.util');
+
+const WRITE_MODES = ['insert', 'upsert', 'replace', 'merge'];
+
+function isEmptyValue(value) {
+  return value === null || value === undefined || value === '';
+}
+
+/**
+ * Normalize key fields given as an array, a JSON array string or a
+ * comma-separated string
+ * @param {Array|string} keyFields - Raw key fields value
+ * @returns {Array<string>} Trimmed, non-empty field names
+ */
+function parseKeyFields(keyFields) {
+  if (!keyFields) return [];
+
+  let fields = keyFields;
+  if (typeof fields === 'string') {
+    const trimmed = fields.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        fields = JSON.parse(trimmed);
+      } catch (error) {
+        fields = [];
+      }
+    } else {
+      fields = trimmed.split(',');
+    }
+  }
+
+  if (!Array.isArray(fields)) return [];
+  return fields.map(field => String(field).trim()).filter(field => field.length > 0);
+}
+
+/**
+ * List the key fields a record has no value for
+ * @param {Object} record - Filtered record
+ * @param {Array<string>} keyFields - Key fields for the write mode
+ * @returns {Array<string>} Names of the missing key fields
+ */
+function findMissingKeyFields(record, keyFields) {
+  return keyFields.filter(field => isEmptyValue(getField(record, field)));
+}
+
+/**
+ * Validate a write mode and its key fields
+ * @param {string} writeMode - Requested write mode
+ * @param {Array<string>} keyFields - Key fields for the mode
+ * @returns {string|null} Error message, or null when the combination is valid
+ */
+function validateWriteMode(writeMode, keyFields) {
+  if (!WRITE_MODES.includes(writeMode)) {
+    return `Invalid write mode "${writeMode}". Expected one of: ${WRITE_MODES.join(', ')}`;
+  }
+  if (writeMode !== 'insert' && keyFields.length === 0) {
+    return `Write mode "${writeMode}" requires at least one key field`;
+  }
+  return null;
+}
+
+/**
+ * Build the bulkWrite operation for a single record
+ * @param {Object} record - Filtered record to write
+ * @param {Object} options - Write options
+ * @param {string} options.writeMode - One of WRITE_MODES
+ * @param {Array<string>} options.keyFields - Fields identifying an existing document
+ * @param {*} options.id - _id to use when the record creates a new document
+ * @returns {Object} bulkWrite operation
+ * @throws {Error} If a key field is missing from the record
+ */
+function buildWriteOperation(record, { writeMode, keyFields, id }) {
+  if (writeMode === 'insert') {
+    return { insertOne: { document: { _id: id, ...record } } };
+  }
+
+  const missingKeys = findMissingKeyFields(record, keyFields);
+  if (missingKeys.length > 0) {
+    throw new Error(`Missing key fields: ${missingKeys.join(', ')}`);
+  }
+
+  const filter = {};
+  keyFields.forEach(field => {
+    filter[field] = getField(record, field);
+  });
+
+  // _id is immutable, so it is only ever set when a new document is created
+  const { _id, ...fields } = record;
+
+  if (writeMode === 'replace') {
+    return { replaceOne: { filter, replacement: fields, upsert: true } };
+  }
+
+  if (writeMode === 'merge') {
+    const $set = {};
+    const $setOnInsert = { _id: _id !== undefined ? _id : id };
+    Object.entries(fields).forEach(([field, value]) => {
+      if (isEmptyValue(value)) {
+        $setOnInsert[field] = value;
+      } else {
+        $set[field] = value;
+      }
+    });
+    return { updateOne: { filter, update: { $set, $setOnInsert }, upsert: true } };
+  }
+
+  return {
+    updateOne: {
+      filter,
+      update: { $set: fields, $setOnInsert: { _id: _id !== undefined ? _id : id } },
+      upsert: true
+    }
+  };
+}
+
+module.exports = {
+  WRITE_MODES,
+  parseKeyFields,
+  validateWriteMode,
+  findMissingKeyFields,
+  buildWriteOperation
+};
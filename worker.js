@@ -1,11 +1,32 @@
 const fs = require('fs');
-const csv = require('csv-parser');
+const http = require('http');
 const path = require('path');
 const { JobModel } = require('./models/Job');
-const { RecordModel } = require('./models/Record');
+const { getRecordModel, DEFAULT_TARGET_COLLECTION } = require('./models/Record');
 const { AuditLogModel } = require('./models/AuditLog');
+const { QuarantinedRowModel } = require('./models/QuarantinedRow');
+const { RecordSnapshotModel } = require('./models/RecordSnapshot');
 const { EventEmitter } = require('events');
-const { applyFieldFilterToRecords } = require('./utils/field-filter.util');
+const { Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { getGlobalConfig, applyFieldFilter, getMissingRequiredFields, getValidationRules } = require('./utils/field-filter.util');
+const { rowObjectId } = require('./utils/record-id.util');
+const { getField } = require('./utils/field-path.util');
+const { buildWriteOperation, findMissingKeyFields } = require('./utils/write-mode.util');
+const { createDryRunReport, recordOutcome, recordFieldProblem, mergeDryRunReport } = require('./utils/dry-run.util');
+const { buildLineage, getLineageField } = require('./utils/lineage.util');
+const { calculateProgress, formatEta } = require('./utils/progress.util');
+const { validateRollback, rollbackJob } = require('./utils/rollback.util');
+const { DEFAULT_QUEUE, parseQueueSubscriptions } = require('./utils/queue.util');
+const { publishProgress } = require('./utils/progress-bus.util');
+const { getDataOffset } = require('./utils/dialect.util');
+const { createRowParser } = require('./utils/source-reader.util');
+const { castRecord, describeCastErrors } = require('./utils/field-types.util');
+const { getProfileSettings } = require('./utils/mapping-profile.util');
+const { findConfigVersion } = require('./utils/config-version.util');
+const { createValidationState, hasUniqueRules, validateRecord, describeValidationErrors } = require('./utils/validation.util');
+const { buildExportQuery, countExport, streamExport } = require('./utils/export.util');
+const { METRICS_CONTENT_TYPE, createCounter, createGauge, createHistogram, renderMetrics } = require('./utils/metrics.util');
 
 require('dotenv').config();
 const mongoose = require('mongoose');
@@ -32,15 +53,73 @@ async function connectDB() {
   }
 }
 
-// Progress tracking emitter
+// Progress tracking emitter for listeners in this process; events also go out
+// on the progress bus for the server to pick up
 const progressEmitter = new EventEmitter();
 
+// Write errors from the driver expose code as a getter, but Mongoose copies
+// them into plain objects where it only survives on the raw err
+function getWriteErrorCode(writeError) {
+  return writeError.code !== undefined ? writeError.code : writeError.err && writeError.err.code;
+}
+
+// Thrown out of the chunk pipeline when the job picks up a PAUSE or CANCEL
+// command, so the stream stops at a chunk boundary
+class JobStoppedError extends Error {
+  constructor(command) {
+    super(`Job stopped by ${command} command`);
+    this.name = 'JobStoppedError';
+    this.command = command;
+  }
+}
+
+// Thrown when the job's lease has passed to another worker, which now owns
+// the job; this worker must stop without touching it again
+class LeaseLostError extends Error {
+  constructor(jobId) {
+    super(`Lease on job ${jobId} was lost to another worker`);
+    this.name = 'LeaseLostError';
+  }
+}
+
+// Key fields a dry run checks its rows by: the unique indexes of the target
+// collection for inserts, the job's key fields for the other write modes
+function getDryRunKeySets(jobOptions) {
+  return jobOptions.writeMode === 'insert' ? jobOptions.uniqueKeySets : [jobOptions.keyFields];
+}
+
+// Key fields on which a dry-run record repeats a row earlier in the file;
+// when there are none its keys are noted as seen for the rows after it
+function findSeenKey(record, jobOptions) {
+  const keySets = getDryRunKeySets(jobOptions);
+  const keys = keySets.map(fields => (fields.every(field => getField(record, field) !== undefined)
+    ? JSON.stringify(fields.map(field => getField(record, field)))
+    : null));
+  const seenIndex = keys.findIndex((key, index) => key !== null && jobOptions.seenKeys[index].has(key));
+  if (seenIndex !== -1) return keySets[seenIndex];
+
+  keys.forEach((key, index) => {
+    if (key !== null) jobOptions.seenKeys[index].add(key);
+  });
+  return null;
+}
+
+// Per-row outcome counters kept on the Job (and in its checkpoint)
+const ROW_COUNTERS = ['insertedRows', 'duplicateRows', 'failedRows', 'rejectedRows', 'matchedRows', 'modifiedRows', 'upsertedRows'];
+
+// Worker metrics, served on WORKER_METRICS_PORT
+const rowsIngested = createCounter('csv_migration_rows_ingested_total', 'Rows read and processed by this worker');
+const rowOutcomes = createCounter('csv_migration_row_outcomes_total', 'Row outcomes (inserted, duplicate, rejected, ...) counted by this worker');
+const rowsPerSecond = createGauge('csv_migration_rows_per_second', 'Current import rate of each job this worker is running');
+const chunkDuration = createHistogram('csv_migration_chunk_duration_seconds', 'Time taken to filter and write one chunk');
+
 class CSVWorker {
   constructor() {
     this.batchSize = parseInt(process.env.BATCH_SIZE) || 3000;
     this.chunkSize = parseInt(process.env.CHUNK_SIZE) || 1000;
     this.maxConcurrency = parseInt(process.env.MAX_CONCURRENCY) || 2;
     this.queue = null;
+    this.metricsServer = null;
     this.progressEmitter = progressEmitter;
   }
 
@@ -54,10 +133,13 @@ class CSVWorker {
     const MongoQueue = require('./queue/mongo.queue');
     this.queue = new MongoQueue();
     
-    // Start polling for CSV migration jobs
-    await this.queue.startPolling('csv-migration', async (job) => {
+    // Process a CSV migration job from any subscribed queue
+    const processJob = async (job) => {
+      if (job.type === 'export') return this.processExportJob(job);
+
       const { filePath, _id: jobId } = job;
-      console.log(`Processing job ${jobId} with file: ${filePath}`);
+      const targetCollection = job.targetCollection || DEFAULT_TARGET_COLLECTION;
+      console.log(`Processing job ${jobId} with file: ${filePath} into collection: ${targetCollection}`);
       
       // Check if file exists before processing
       if (!fs.existsSync(filePath)) {
@@ -67,6 +149,7 @@ class CSVWorker {
         await AuditLogModel.create({
           action: 'FAILED',
           jobId: jobId,
+          targetCollection,
           meta: { 
             filePath,
             error: 'File does not exist',
@@ -79,8 +162,9 @@ class CSVWorker {
           status: 'FAILED',
           error: 'File does not exist'
         });
+        this.emitProgress(jobId, 0, `Job failed: file ${filePath} does not exist`, { status: 'FAILED', error: 'File does not exist' }, 'failed');
         
-        return { status: 'failed', jobId, error: 'File does not exist' };
+        return { status: 'failed', jobStatus: 'FAILED', jobId, error: 'File does not exist' };
       }
       
       try {
@@ -88,21 +172,33 @@ class CSVWorker {
         await AuditLogModel.create({
           action: 'START',
           jobId: jobId,
+          targetCollection,
           meta: { filePath }
         });
 
         // Process the CSV file
-        await this.processCSVFile(filePath, jobId);
+        const jobStatus = await this.processCSVFile(filePath, jobId).finally(() => {
+          rowsPerSecond.remove({ job_id: jobId });
+        });
         
-        console.log(`Job ${jobId} completed successfully`);
-        return { status: 'completed', jobId };
+        console.log(`Job ${jobId} completed with status ${jobStatus}`);
+        return { status: 'completed', jobStatus, jobId };
       } catch (error) {
+        // The worker that took the job over is responsible for it now
+        if (error instanceof LeaseLostError) {
+          console.warn(error.message);
+          this.emitProgress(jobId, undefined, 'Job was taken over by another worker', {}, 'warning');
+          return { status: 'abandoned', jobId };
+        }
+
         console.error(`Job ${jobId} failed:`, error);
+        this.emitProgress(jobId, undefined, `Job failed: ${error.message}`, { error: error.message }, 'failed');
         
         // Log FAILED action
         await AuditLogModel.create({
           action: 'FAILED',
           jobId: jobId,
+          targetCollection,
           meta: { 
             filePath,
             error: error.message,
@@ -112,174 +208,572 @@ class CSVWorker {
         
         throw error;
       }
-    });
+    };
+
+    this.startMetricsServer();
+
+    // Poll every queue this worker subscribes to (WORKER_QUEUES), each with
+    // its own number of jobs running at once
+    for (const { queueName, concurrency } of parseQueueSubscriptions(process.env.WORKER_QUEUES)) {
+      await this.queue.startPolling(queueName, processJob, { concurrency });
+    }
 
     console.log('CSV migration worker started with MongoDB queue');
   }
 
-  // Count total rows in CSV file
-  async countCSVRows(filePath) {
-    return new Promise((resolve, reject) => {
-      let rowCount = 0;
-        
-      fs.createReadStream(filePath)
-        .pipe(csv())
-        .on('data', () => {
-          rowCount++;
-        })
-        .on('end', () => {
-          resolve(rowCount);
-        })
-        .on('error', (error) => {
-          reject(error);
-        });
-    });
-  }
-    
-  // Split CSV into chunks
-  async splitCSVIntoChunks(filePath, chunkSize) {
-    return new Promise((resolve, reject) => {
-      const chunks = [];
-      let currentChunk = [];
-        
-      fs.createReadStream(filePath)
-        .pipe(csv())
-        .on('data', (data) => {
-          currentChunk.push(data);
-            
-          if (currentChunk.length >= chunkSize) {
-            chunks.push([...currentChunk]);
-            currentChunk = [];
-          }
-        })
-        .on('end', () => {
-          if (currentChunk.length > 0) {
-            chunks.push([...currentChunk]);
-          }
-          resolve(chunks);
+  // Build a writable stage that groups parsed rows into chunks and hands each
+  // chunk to onChunk. At most maxConcurrency chunks are in flight at once; while
+  // every slot is busy the write callback is held back, so the parser (and the
+  // file read stream behind it) pauses instead of buffering the rest of the file.
+  //
+  // Rows arrive as { row, byteOffset } from csv-parser's outputByteOffset mode,
+  // with offsets relative to startOffset. A chunk is only dispatched once the
+  // first row of the next chunk is seen, so every chunk knows the byte range
+  // [startOffset, endOffset) it covers; the last chunk ends at fileSize. The
+  // absolute offset of every row is passed along as rowOffsets.
+  //
+  // When a chunk fails (or stops the job) no further chunks are dispatched, and
+  // the stream only errors once the chunks still in flight have settled, so the
+  // checkpoint covers everything that was written.
+  createChunkWriter(onChunk, { fileSize, startOffset = 0, firstChunkIndex = 0, firstRowNumber = 1 }) {
+    const inFlight = new Set();
+    let currentChunk = [];
+    let currentOffsets = [];
+    let chunkStart = startOffset;
+    let chunkIndex = firstChunkIndex;
+    let rowNumber = firstRowNumber;
+    let failure = null;
+
+    const dispatch = (chunk, rowOffsets, endOffset) => {
+      const range = { startOffset: chunkStart, endOffset, firstRowNumber: rowNumber, rowOffsets };
+      rowNumber += chunk.length;
+      const task = onChunk(chunk, chunkIndex++, range)
+        .catch((error) => {
+          failure = failure || error;
         })
-        .on('error', (error) => {
-          reject(error);
+        .finally(() => {
+          inFlight.delete(task);
         });
+      inFlight.add(task);
+    };
+
+    const settle = () => Promise.all(inFlight);
+
+    const waitForSlot = async () => {
+      while (inFlight.size >= this.maxConcurrency && !failure) {
+        await Promise.race(inFlight);
+      }
+      if (failure) {
+        await settle();
+        throw failure;
+      }
+    };
+
+    return new Writable({
+      objectMode: true,
+      write: ({ row, byteOffset }, encoding, callback) => {
+        if (failure) return settle().then(() => callback(failure), callback);
+
+        if (currentChunk.length < this.chunkSize) {
+          currentChunk.push(row);
+          currentOffsets.push(startOffset + byteOffset);
+          return callback();
+        }
+
+        dispatch(currentChunk, currentOffsets, startOffset + byteOffset);
+        currentChunk = [row];
+        currentOffsets = [startOffset + byteOffset];
+        chunkStart = startOffset + byteOffset;
+        waitForSlot().then(() => callback(), callback);
+      },
+      final: (callback) => {
+        if (currentChunk.length > 0 && !failure) {
+          dispatch(currentChunk, currentOffsets, fileSize);
+          currentChunk = [];
+          currentOffsets = [];
+        }
+        Promise.all(inFlight).then(() => callback(failure), callback);
+      }
     });
   }
-    
+
   async processCSVFile(filePath, jobId) {
-    // First, count total rows to set totalRows in job
-    const totalRows = await this.countCSVRows(filePath);
+    // Progress is measured in bytes against the file size, so the file is only
+    // parsed once; totalRows is filled in exactly when the stream ends
+    const { size: fileSize } = await fs.promises.stat(filePath);
+    const jobDoc = await JobModel.findById(jobId).lean();
+
+    // A checkpoint marks the end of the contiguous run of chunks committed by a
+    // previous attempt; resume by seeking straight to its byte offset and
+    // parsing the rest of the file with the header snapshot taken back then.
+    // A fresh run starts after the file's BOM, if it has one.
+    const checkpoint = jobDoc && jobDoc.checkpoint && jobDoc.checkpoint.byteOffset > 0
+      ? jobDoc.checkpoint
+      : null;
+    const resumedFrom = {
+      byteOffset: checkpoint ? checkpoint.byteOffset : getDataOffset(jobDoc.dialect),
+      rowNumber: checkpoint ? checkpoint.rowNumber : 0
+    };
+    let headers = checkpoint ? checkpoint.headers : null;
+
+    if (checkpoint) {
+      console.log(`Resuming job ${jobId} from byte ${checkpoint.byteOffset} (row ${checkpoint.rowNumber})`);
+    }
+
+    // The lineage field is fixed on the first run so a resumed job keeps
+    // stamping records the same way
+    const lineageField = jobDoc.lineageField !== undefined ? jobDoc.lineageField : getLineageField();
+
+    // Job updates are only applied while this worker still holds the lease
+    const owner = { _id: jobId, workerId: jobDoc.workerId || null };
+
+    // Jobs with a mapping profile filter with the snapshot taken when they
+    // were queued; the rest with a saved version of the global configuration
+    const { fieldFilter, configVersion } = jobDoc.mappingProfile
+      ? { fieldFilter: getProfileSettings(jobDoc.mappingProfile.settings || {}), configVersion: null }
+      : await this.loadGlobalConfig(jobDoc, Boolean(checkpoint));
+
+    const startedAt = new Date();
     await JobModel.findByIdAndUpdate(jobId, { 
-      totalRows,
+      fileSize,
+      resumedFrom,
+      startedAt,
+      lineageField,
+      configVersion,
       status: 'RUNNING'
     });
-      
-    // Split CSV into chunks and process them
-    const chunks = await this.splitCSVIntoChunks(filePath, this.chunkSize);
-      
-    // Update job with total chunks
-    await JobModel.findByIdAndUpdate(jobId, { 
-      totalChunks: chunks.length
+
+    let processedRows = resumedFrom.rowNumber;
+    let processedBytes = resumedFrom.byteOffset;
+    this.emitProgress(
+      jobId,
+      calculateProgress({ processedBytes, fileSize, processedRows, startedAt, resumedFrom }).percentage,
+      checkpoint ? `Resuming from row ${resumedFrom.rowNumber + 1}` : `Started processing ${jobDoc.originalFilename || jobDoc.filename}`,
+      { processedRows, processedBytes, fileSize, status: 'RUNNING' }
+    );
+    let processedChunks = checkpoint ? checkpoint.chunkIndex + 1 : 0;
+
+    // Row outcome counters; the checkpoint keeps the totals for the chunks it
+    // covers so chunks replayed after a resume are not counted twice
+    const rowCounts = {};
+    ROW_COUNTERS.forEach((counter) => {
+      rowCounts[counter] = checkpoint ? checkpoint[counter] || 0 : 0;
     });
-      
-    // Process chunks in parallel with limited concurrency
-    let processedRows = 0;
-    const results = [];
-    for (let i = 0; i < chunks.length; i += this.maxConcurrency) {
-      const chunkBatch = chunks.slice(i, i + this.maxConcurrency);
-        
-      const promises = chunkBatch.map(async (chunk, index) => {
-        const chunkIndex = i + index;
-            
-        // Skip if this chunk was already processed
-        const jobDoc = await JobModel.findById(jobId);
-        if (jobDoc.lastProcessedChunk >= chunkIndex) {
-          // Update processed rows based on chunk size
-          processedRows += chunk.length;
-          return { processed: true, chunkIndex, skipped: true };
-        }
-            
-        try {
-          const result = await this.processChunk(chunk, jobId, chunkIndex);
-            
-          // Update processed rows count
-          processedRows += chunk.length;
-            
-          // Update job progress
-          await JobModel.findByIdAndUpdate(jobId, { 
-            processedChunks: chunkIndex + 1,
-            lastProcessedChunk: chunkIndex,
-            processedRows: Math.min(totalRows, processedRows)
+    const checkpointCounts = { ...rowCounts };
+    const jobOptions = {
+      writeMode: jobDoc.writeMode || 'insert',
+      keyFields: jobDoc.keyFields || [],
+      continueOnError: Boolean(jobDoc.continueOnError),
+      takeSnapshots: Boolean(jobDoc.takeSnapshots),
+      targetCollection: jobDoc.targetCollection || DEFAULT_TARGET_COLLECTION,
+      dryRun: Boolean(jobDoc.dryRun),
+      fieldTypes: jobDoc.fieldTypes || null,
+      fieldFilter,
+      lineage: lineageField
+        ? { fieldName: lineageField, jobId: jobDoc._id, sourceFile: jobDoc.originalFilename || jobDoc.filename, checksum: jobDoc.checksum }
+        : null,
+      validationState: createValidationState()
+    };
+
+    // A dry run writes nothing; its report advances with the checkpoint so a
+    // resumed dry run does not count replayed chunks twice. It notes the keys
+    // of its rows to spot repeats within the file.
+    let dryRunReport = null;
+    if (jobOptions.dryRun) {
+      jobOptions.uniqueKeySets = await this.getUniqueKeySets(jobOptions.targetCollection);
+      jobOptions.seenKeys = getDryRunKeySets(jobOptions).map(() => new Set());
+      dryRunReport = (checkpoint && jobDoc.dryRunReport) || createDryRunReport();
+    }
+
+    // Unique rules, and a dry run's seen keys, need the values of the rows
+    // before the checkpoint, which a resumed job does not parse again
+    if (checkpoint && (jobOptions.dryRun || hasUniqueRules(getValidationRules(jobOptions.fieldFilter)))) {
+      await this.primeValidationState(filePath, jobDoc, checkpoint.byteOffset, jobOptions);
+    }
+
+    // Chunks finish out of order, so track which ones are done and only move
+    // the checkpoint forward over an unbroken prefix of committed chunks
+    const committed = new Map();
+    let nextCheckpointChunk = processedChunks;
+    let nextCheckpoint = checkpoint;
+    let jobUpdate = Promise.resolve();
+
+    // CSV, JSON Lines and JSON arrays all parse into { row, byteOffset };
+    // only CSV has a header line
+    const parser = createRowParser(jobDoc, { headers: checkpoint ? headers : null, resumed: Boolean(checkpoint) });
+    parser.on('headers', (parsedHeaders) => {
+      headers = parsedHeaders;
+    });
+
+    // Stream the file through parse -> batch -> filter/insert so memory stays
+    // bounded by chunkSize * maxConcurrency regardless of the file size
+    let stopCommand = null;
+    await pipeline(
+      fs.createReadStream(filePath, { start: resumedFrom.byteOffset }),
+      parser,
+      this.createChunkWriter(async (chunk, chunkIndex, range) => {
+        const chunkStartedAt = process.hrtime.bigint();
+        const result = await this.processChunk(chunk, jobId, chunkIndex, range, jobOptions);
+        chunkDuration.observe({ mode: jobOptions.dryRun ? 'dry-run' : jobOptions.writeMode }, Number(process.hrtime.bigint() - chunkStartedAt) / 1e9);
+        rowsIngested.inc({ queue: jobDoc.queueName || DEFAULT_QUEUE, collection: jobOptions.targetCollection }, chunk.length);
+        ROW_COUNTERS.forEach((counter) => {
+          if (result.counts[counter] > 0) {
+            rowOutcomes.inc({ outcome: counter.replace(/Rows$/, '') }, result.counts[counter]);
+          }
+        });
+
+        processedRows += chunk.length;
+        processedBytes += range.endOffset - range.startOffset;
+        processedChunks++;
+        ROW_COUNTERS.forEach((counter) => {
+          rowCounts[counter] += result.counts[counter];
+        });
+
+        committed.set(chunkIndex, { range, rows: chunk.length, result });
+        while (committed.has(nextCheckpointChunk)) {
+          const done = committed.get(nextCheckpointChunk);
+          committed.delete(nextCheckpointChunk);
+          ROW_COUNTERS.forEach((counter) => {
+            checkpointCounts[counter] += done.result.counts[counter];
           });
-            
-          // Emit progress
-          const progress = Math.min(100, Math.round((processedRows / totalRows) * 100));
-          this.emitProgress(jobId, progress, `Processed ${processedRows} of ${totalRows} rows (${chunkIndex + 1}/${chunks.length} chunks)`);
-            
-          return result;
-        } catch (error) {
-          console.error(`Error processing chunk ${chunkIndex}:`, error);
-          throw error;
+          if (dryRunReport) {
+            dryRunReport = mergeDryRunReport(dryRunReport, done.result.report);
+          }
+          nextCheckpoint = {
+            byteOffset: done.range.endOffset,
+            rowNumber: done.range.firstRowNumber + done.rows - 1,
+            chunkIndex: nextCheckpointChunk,
+            headers,
+            ...checkpointCounts,
+            updatedAt: new Date()
+          };
+          nextCheckpointChunk++;
         }
-      });
-        
-      const batchResults = await Promise.all(promises);
-      results.push(...batchResults);
+
+        // Job updates are chained so a slower write can never move the
+        // checkpoint or the counters backwards. The update also reads back any
+        // pause or cancel command sent through the admin API, and matches
+        // nothing once another worker has taken the job over.
+        jobUpdate = jobUpdate.then(() => JobModel.findOneAndUpdate(owner, { 
+          processedChunks,
+          processedBytes,
+          processedRows,
+          ...rowCounts,
+          checkpoint: nextCheckpoint,
+          lastProcessedChunk: nextCheckpoint ? nextCheckpoint.chunkIndex : -1,
+          ...(dryRunReport ? { dryRunReport } : {})
+        }, { new: true, projection: { command: 1 } }));
+        const updated = await jobUpdate;
+        if (!updated) throw new LeaseLostError(jobId);
+        const { command } = updated;
+
+        // Emit progress
+        const stats = calculateProgress({ processedBytes, fileSize, processedRows, startedAt, resumedFrom });
+        rowsPerSecond.set({ job_id: jobId }, stats.rowsPerSecond);
+        this.emitProgress(
+          jobId,
+          stats.percentage,
+          `Processed ${processedRows} rows (${processedChunks} chunks, ${stats.rowsPerSecond} rows/s, ETA ${formatEta(stats.etaSeconds)})`,
+          { ...stats, processedRows, processedBytes, fileSize, chunkIndex, chunkRows: chunk.length, chunkCounts: result.counts },
+          'chunk'
+        );
+
+        const problemRows = result.counts.rejectedRows + result.counts.failedRows;
+        if (problemRows > 0) {
+          this.emitProgress(jobId, stats.percentage, `Chunk ${chunkIndex}: ${problemRows} rows rejected or failed`, {
+            chunkIndex,
+            rejectedRows: result.counts.rejectedRows,
+            failedRows: result.counts.failedRows
+          }, 'warning');
+        }
+
+        if (command) throw new JobStoppedError(command);
+        return result;
+      }, {
+        fileSize,
+        startOffset: resumedFrom.byteOffset,
+        firstChunkIndex: processedChunks,
+        firstRowNumber: processedRows + 1
+      })
+    ).catch((error) => {
+      if (!(error instanceof JobStoppedError)) throw error;
+      stopCommand = error.command;
+    });
+
+    if (stopCommand) {
+      const { percentage } = calculateProgress({ processedBytes, fileSize, processedRows, startedAt, resumedFrom });
+      return this.stopJob(jobDoc, stopCommand, { percentage, processedRows, processedBytes, fileSize });
     }
       
-    // Update final progress
-    await JobModel.findByIdAndUpdate(jobId, { 
-      processedRows: totalRows,
-      status: 'COMPLETED'
+    // The stream has ended, so the row and chunk totals are now exact
+    const status = rowCounts.rejectedRows > 0 ? 'COMPLETED_WITH_ERRORS' : 'COMPLETED';
+    const finished = await JobModel.findOneAndUpdate(owner, { 
+      totalRows: processedRows,
+      totalChunks: processedChunks,
+      processedRows,
+      processedChunks,
+      processedBytes: fileSize,
+      ...rowCounts,
+      ...(dryRunReport ? { dryRunReport } : {}),
+      status
     });
+    if (!finished) throw new LeaseLostError(jobId);
+
+    if (dryRunReport) {
+      const { counts } = dryRunReport;
+      this.emitProgress(jobId, 100, `Dry run of ${processedRows} rows: ${counts.insert} would be inserted, ${counts.update} updated, ${counts.skip} skipped, ${counts.reject} rejected`, {
+        processedRows,
+        processedBytes: fileSize,
+        fileSize,
+        dryRun: true,
+        dryRunCounts: counts,
+        status
+      }, 'completed');
+      return status;
+    }
       
-    this.emitProgress(jobId, 100, `Completed processing ${totalRows} rows in ${chunks.length} chunks`);
+    this.emitProgress(jobId, 100, `Completed processing ${processedRows} rows in ${processedChunks} chunks (${rowCounts.insertedRows} inserted, ${rowCounts.upsertedRows} upserted, ${rowCounts.modifiedRows} modified, ${rowCounts.duplicateRows} duplicates, ${rowCounts.rejectedRows} rejected)`, {
+      processedRows,
+      ...rowCounts,
+      processedBytes: fileSize,
+      fileSize,
+      status
+    }, 'completed');
+
+    return status;
   }
 
-  async processChunk(chunk, jobId, chunkIndex) {
-    if (chunk.length === 0) return { processed: true, chunkIndex, count: 0 };
-    
+  // Write the records an export job selects to its file. Exports keep no
+  // checkpoint: a retried export starts over, and the file only appears
+  // under its name once it is complete.
+  async processExportJob(job) {
+    const { filePath, _id: jobId, exportOptions } = job;
+    const owner = { _id: jobId, workerId: job.workerId };
+    console.log(`Exporting job ${jobId} from collection ${exportOptions.collection} to ${filePath}`);
+
+    await AuditLogModel.create({
+      action: 'START',
+      jobId,
+      targetCollection: exportOptions.collection,
+      meta: { export: true, filePath }
+    });
+
     try {
-      // Apply field filtering to the chunk
-      const filteredChunk = applyFieldFilterToRecords(chunk);
-      
-      // Insert records in bulk with ordered: false to handle duplicates
-      const result = await RecordModel.insertMany(filteredChunk, { ordered: false });
-      
-      // Log INSERT action
-      await AuditLogModel.create({
-        action: 'INSERT',
-        jobId: jobId,
-        meta: { 
-          chunkIndex,
-          chunkSize: chunk.length,
-          insertedCount: result.length
+      const query = buildExportQuery(exportOptions);
+      const totalRows = await countExport(query);
+      await JobModel.updateOne(owner, { totalRows, processedRows: 0 });
+      this.emitProgress(jobId, 0, `Started exporting ${totalRows} records`, { totalRows, status: 'RUNNING' });
+
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const partialPath = `${filePath}.partial`;
+      const exportedRows = await streamExport(query, fs.createWriteStream(partialPath), {
+        onProgress: (rows) => {
+          this.emitProgress(jobId, totalRows > 0 ? Math.min(99, Math.round(rows / totalRows * 100)) : 0, `Exported ${rows} of ${totalRows} records`, { processedRows: rows, totalRows });
         }
       });
-      
-      console.log(`Inserted ${result.length} records in chunk ${chunkIndex}`);
-      return { processed: true, chunkIndex, count: result.length };
+      fs.renameSync(partialPath, filePath);
+
+      const finished = await JobModel.findOneAndUpdate(owner, { processedRows: exportedRows, totalRows: exportedRows });
+      if (!finished) throw new LeaseLostError(jobId);
+
+      this.emitProgress(jobId, 100, `Exported ${exportedRows} records to ${job.filename}`, { processedRows: exportedRows, totalRows: exportedRows, status: 'COMPLETED' }, 'completed');
+      return { status: 'completed', jobStatus: 'COMPLETED', jobId, exportedRows };
     } catch (error) {
-      // Handle duplicate key errors (which are expected with ordered: false)
-      if (error.code === 11000) {
-        console.log(`Skipped duplicate records in chunk ${chunkIndex} of ${chunk.length}`);
-        
-        // Log SKIP action for duplicates
-        await AuditLogModel.create({
-          action: 'SKIP',
-          jobId: jobId,
-          meta: { 
-            chunkIndex,
-            chunkSize: chunk.length,
-            duplicateCount: 'unknown'
+      fs.rmSync(`${filePath}.partial`, { force: true });
+
+      if (error instanceof LeaseLostError) {
+        console.warn(error.message);
+        this.emitProgress(jobId, undefined, 'Job was taken over by another worker', {}, 'warning');
+        return { status: 'abandoned', jobId };
+      }
+
+      console.error(`Export job ${jobId} failed:`, error);
+      this.emitProgress(jobId, undefined, `Export failed: ${error.message}`, { error: error.message }, 'failed');
+      await AuditLogModel.create({
+        action: 'FAILED',
+        jobId,
+        targetCollection: exportOptions.collection,
+        meta: { export: true, filePath, error: error.message, stack: error.stack }
+      });
+      throw error;
+    }
+  }
+
+  // Finish a job that picked up a PAUSE or CANCEL command. Its checkpoint is
+  // already saved, so a paused job carries on from it once resumed; a
+  // cancelled job has its records rolled back if that was asked for.
+  // The status is only set while the command is still pending, and the lease
+  // is released in the same update, so a resume or cancel sent after it is
+  // never overwritten. Returns the status the job was left in.
+  async stopJob(jobDoc, command, stats) {
+    const jobId = jobDoc._id;
+    const owner = { _id: jobId, workerId: jobDoc.workerId || null };
+    let job = null;
+    let status;
+    while (!job) {
+      status = command === 'PAUSE' ? 'PAUSED' : 'CANCELLED';
+      job = await JobModel.findOneAndUpdate({ ...owner, status: 'RUNNING', command }, {
+        status,
+        command: null,
+        workerId: null,
+        leaseExpiresAt: null,
+        ...(status === 'PAUSED' ? { pausedAt: new Date() } : { cancelledAt: new Date() })
+      }, { new: true });
+      if (job) break;
+
+      // The command changed since it was read: a cancel replaced a pause, or
+      // a resume withdrew the pause after the job had already stopped
+      const current = await JobModel.findOne({ ...owner, status: 'RUNNING' }, { command: 1 });
+      if (!current) throw new LeaseLostError(jobId);
+      if (!current.command) {
+        const requeued = await JobModel.findOneAndUpdate(
+          { ...owner, status: 'RUNNING', command: null },
+          { status: 'PENDING', workerId: null, leaseExpiresAt: null }
+        );
+        if (!requeued) continue;
+        this.emitProgress(jobId, stats.percentage, `Pause withdrawn, job requeued after ${stats.processedRows} rows`, { ...stats, status: 'PENDING' });
+        return 'PENDING';
+      }
+      command = current.command;
+    }
+
+    await AuditLogModel.create({
+      action: command,
+      jobId,
+      targetCollection: job.targetCollection,
+      meta: { processedRows: stats.processedRows, checkpoint: job.checkpoint }
+    });
+    this.emitProgress(jobId, stats.percentage, `Job ${status === 'PAUSED' ? 'paused' : 'cancelled'} after ${stats.processedRows} rows`, { ...stats, status });
+
+    if (status === 'CANCELLED' && job.cancelRollback) {
+      const rollbackError = validateRollback(job);
+      if (rollbackError) {
+        console.warn(`Not rolling back cancelled job ${jobId}: ${rollbackError}`);
+        return status;
+      }
+
+      try {
+        await JobModel.findByIdAndUpdate(jobId, { status: 'ROLLING_BACK' });
+        await rollbackJob(job, {
+          finalStatus: status,
+          onProgress: (percentage, message, rollbackStats) => {
+            // The last call carries the final status
+            this.emitProgress(jobId, percentage, message, { type: 'rollback', status: 'ROLLING_BACK', ...rollbackStats },
+              rollbackStats.status ? 'completed' : 'progress');
           }
         });
-        
-        return { processed: true, chunkIndex, count: chunk.length, duplicates: true };
-      } else {
+      } catch (error) {
+        // rollbackJob leaves the job CANCELLED with the error recorded; the
+        // rollback can be retried from the admin API
+        console.error(`Rollback of cancelled job ${jobId} failed:`, error);
+        this.emitProgress(jobId, stats.percentage, `Rollback failed: ${error.message}`, { type: 'rollback', status, error: error.message }, 'warning');
+      }
+    }
+
+    return status;
+  }
+
+  async processChunk(chunk, jobId, chunkIndex, range, jobOptions = { writeMode: 'insert', keyFields: [], continueOnError: false, takeSnapshots: false, targetCollection: DEFAULT_TARGET_COLLECTION, lineage: null }) {
+    const { firstRowNumber, rowOffsets = [] } = range;
+    const counts = {};
+    ROW_COUNTERS.forEach((counter) => {
+      counts[counter] = 0;
+    });
+    const result = {
+      processed: true,
+      chunkIndex,
+      counts,
+      duplicateRows: [],
+      failedRows: []
+    };
+    if (jobOptions.dryRun) {
+      result.report = await this.simulateChunk(chunk, range, jobOptions);
+      return result;
+    }
+    if (chunk.length === 0) return result;
+    
+    // Cast and filter the fields of the chunk and turn each record into a
+    // write for the job's write mode. New documents get an _id derived from
+    // their source row so a chunk replayed after a resume cannot insert twice
+    const operations = [];
+    const rowNumbers = [];
+    const importedAt = new Date();
+    const validationRules = getValidationRules(jobOptions.fieldFilter);
+    chunk.forEach((row, index) => {
+      const rowNumber = firstRowNumber + index;
+      const cast = jobOptions.fieldTypes ? castRecord(row, jobOptions.fieldTypes) : { record: row, errors: [] };
+      if (cast.errors.length > 0) {
+        counts.failedRows++;
+        result.failedRows.push({ rowNumber, stage: 'CAST', error: describeCastErrors(cast.errors) });
+        return;
+      }
+
+      let record;
+      try {
+        record = applyFieldFilter(cast.record, jobOptions.fieldFilter);
+      } catch (error) {
+        // Without continueOnError a bad row still fails the whole job
+        if (!jobOptions.continueOnError) throw error;
+        counts.failedRows++;
+        result.failedRows.push({ rowNumber, stage: 'FILTER', error: error.message });
+        return;
+      }
+      if (!record) return;
+
+      // Validation rules name source fields, like requiredFields, so they are
+      // checked on the row as cast rather than the filtered record
+      const validationErrors = validateRecord(cast.record, validationRules, jobOptions.validationState);
+      if (validationErrors.length > 0) {
+        counts.failedRows++;
+        result.failedRows.push({ rowNumber, stage: 'VALIDATION', error: describeValidationErrors(validationErrors) });
+        return;
+      }
+
+      // Stamp where the record came from so it can be traced back to its job
+      // and source row
+      if (jobOptions.lineage) {
+        record[jobOptions.lineage.fieldName] = buildLineage(jobOptions.lineage, {
+          rowNumber,
+          byteOffset: rowOffsets[index],
+          importedAt
+        });
+      }
+
+      try {
+        operations.push(buildWriteOperation(record, {
+          writeMode: jobOptions.writeMode,
+          keyFields: jobOptions.keyFields,
+          id: rowObjectId(jobId, rowNumber)
+        }));
+        rowNumbers.push(rowNumber);
+      } catch (error) {
+        counts.failedRows++;
+        result.failedRows.push({ rowNumber, stage: 'FILTER', error: error.message });
+      }
+    });
+
+    // Keep the current version of every record this chunk is about to
+    // overwrite so the job can be rolled back
+    if (jobOptions.takeSnapshots && jobOptions.writeMode !== 'insert' && operations.length > 0) {
+      await this.snapshotRecords(jobId, jobOptions.targetCollection, operations);
+    }
+
+    let bulkResult = null;
+    let writeErrors = [];
+    try {
+      // Write records in bulk with ordered: false to handle duplicates
+      if (operations.length > 0) {
+        bulkResult = await getRecordModel(jobOptions.targetCollection).bulkWrite(operations, { ordered: false });
+      }
+    } catch (error) {
+      // Anything other than a bulk write error (e.g. a lost connection) means we
+      // don't know what was written, so stop the job
+      if (!Array.isArray(error.writeErrors)) {
         console.error('Error inserting chunk:', error);
-        // Log the error but don't necessarily throw - allow processing to continue
         await AuditLogModel.create({
           action: 'FAILED',
           jobId: jobId,
+          targetCollection: jobOptions.targetCollection,
           meta: { 
             chunkIndex,
             chunkSize: chunk.length,
@@ -289,22 +783,367 @@ class CSVWorker {
         });
         throw error; // Still throw to stop the job as it's a critical error
       }
+
+      bulkResult = error.result;
+      writeErrors = error.writeErrors;
+    }
+
+    if (bulkResult) {
+      counts.insertedRows = bulkResult.insertedCount || 0;
+      counts.matchedRows = bulkResult.matchedCount || 0;
+      counts.modifiedRows = bulkResult.modifiedCount || 0;
+      counts.upsertedRows = bulkResult.upsertedCount || 0;
     }
+
+    // Flag the records this chunk's upserts created in their lineage, so a
+    // rollback deletes them even when the server generated their _id (replace)
+    if (jobOptions.lineage && bulkResult && counts.upsertedRows > 0) {
+      await this.markCreatedRecords(jobOptions, Object.values(bulkResult.upsertedIds || {}));
+    }
+
+    writeErrors.forEach((writeError) => {
+      const { index } = writeError;
+      const code = getWriteErrorCode(writeError);
+      const message = writeError.errmsg || (writeError.err && writeError.err.errmsg);
+      const rowNumber = rowNumbers[index];
+      const operation = operations[index];
+
+      if (code === 11000) {
+        // A clash on our own row-derived _id means an earlier attempt of this
+        // job already inserted the row, so it still counts as inserted
+        if (operation.insertOne &&
+            rowObjectId(jobId, rowNumber).equals(operation.insertOne.document._id) &&
+            /index: _id_ /.test(message || '')) {
+          counts.insertedRows++;
+          return;
+        }
+        counts.duplicateRows++;
+        result.duplicateRows.push(rowNumber);
+      } else {
+        counts.failedRows++;
+        result.failedRows.push({ rowNumber, stage: 'WRITE', code, error: message });
+      }
+    });
+      
+    // Log INSERT action
+    await AuditLogModel.create({
+      action: 'INSERT',
+      jobId: jobId,
+      targetCollection: jobOptions.targetCollection,
+      meta: { 
+        chunkIndex,
+        chunkSize: chunk.length,
+        writeMode: jobOptions.writeMode,
+        ...counts
+      }
+    });
+
+    if (counts.duplicateRows > 0) {
+      console.log(`Skipped ${counts.duplicateRows} duplicate records in chunk ${chunkIndex} of ${chunk.length}`);
+      
+      // Log SKIP action for duplicates
+      await AuditLogModel.create({
+        action: 'SKIP',
+        jobId: jobId,
+        targetCollection: jobOptions.targetCollection,
+        meta: { 
+          chunkIndex,
+          chunkSize: chunk.length,
+          duplicateCount: counts.duplicateRows,
+          rowNumbers: result.duplicateRows
+        }
+      });
+    }
+
+    if (counts.failedRows > 0) {
+      console.error(`Failed to write ${counts.failedRows} records in chunk ${chunkIndex}`);
+
+      counts.rejectedRows = await this.quarantineRows(jobId, result.failedRows, (rowNumber) => chunk[rowNumber - firstRowNumber]);
+
+      // Log FAILED action for rows rejected for reasons other than duplicates
+      await AuditLogModel.create({
+        action: 'FAILED',
+        jobId: jobId,
+        targetCollection: jobOptions.targetCollection,
+        meta: { 
+          chunkIndex,
+          chunkSize: chunk.length,
+          failedCount: counts.failedRows,
+          rows: result.failedRows
+        }
+      });
+    }
+      
+    console.log(`Wrote chunk ${chunkIndex}: ${counts.insertedRows} inserted, ${counts.upsertedRows} upserted, ${counts.modifiedRows} modified`);
+    return result;
+  }
+
+  // The global configuration a job filters with: the latest version saved in
+  // MongoDB, as this worker may not see the file POST /config writes, or for
+  // a resumed job the version its earlier chunks ran with. The file is only
+  // used until a first version is saved.
+  async loadGlobalConfig(jobDoc, resumed) {
+    const version = resumed ? jobDoc.configVersion : null;
+    if (resumed && !version) {
+      return { fieldFilter: getGlobalConfig(), configVersion: null };
+    }
+
+    const saved = await findConfigVersion(version);
+    if (!saved) {
+      if (version) throw new Error(`Configuration version ${version} not found`);
+      return { fieldFilter: getGlobalConfig(), configVersion: null };
+    }
+    return { fieldFilter: saved.config, configVersion: saved.version };
   }
 
-  emitProgress(jobId, percentage, message) {
+  // Run the rows before a resumed job's checkpoint through casting, filtering
+  // and validation again, so unique rules know the values already used and a
+  // dry run the keys already seen
+  async primeValidationState(filePath, jobDoc, endOffset, jobOptions) {
+    const validationRules = getValidationRules(jobOptions.fieldFilter);
+    const startOffset = getDataOffset(jobDoc.dialect);
+    const source = fs.createReadStream(filePath, { start: startOffset });
+    const parser = createRowParser(jobDoc, { headers: null, resumed: false });
+    source.on('error', error => parser.destroy(error));
+
+    try {
+      for await (const { row, byteOffset } of source.pipe(parser)) {
+        if (startOffset + byteOffset >= endOffset) break;
+
+        const cast = jobOptions.fieldTypes ? castRecord(row, jobOptions.fieldTypes) : { record: row, errors: [] };
+        if (cast.errors.length > 0) continue;
+        let record;
+        try {
+          record = applyFieldFilter(cast.record, jobOptions.fieldFilter);
+        } catch (error) {
+          continue;
+        }
+        if (!record) continue;
+        const validationErrors = validateRecord(cast.record, validationRules, jobOptions.validationState);
+        if (jobOptions.dryRun && validationErrors.length === 0 &&
+          (jobOptions.writeMode === 'insert' || findMissingKeyFields(record, jobOptions.keyFields).length === 0)) {
+          findSeenKey(record, jobOptions);
+        }
+      }
+    } finally {
+      source.destroy();
+    }
+  }
+
+  // Run a chunk through casting, filtering, validation, required and key field
+  // checks and duplicate detection against earlier rows and the target
+  // collection without writing anything. Chunks are started in file order and
+  // the rows checked before the first await, so earlier rows are seen first.
+  async simulateChunk(chunk, { firstRowNumber }, jobOptions) {
+    const report = createDryRunReport();
+    const candidates = [];
+    const validationRules = getValidationRules(jobOptions.fieldFilter);
+
+    chunk.forEach((row, index) => {
+      const rowNumber = firstRowNumber + index;
+      const cast = jobOptions.fieldTypes ? castRecord(row, jobOptions.fieldTypes) : { record: row, errors: [] };
+      if (cast.errors.length > 0) {
+        cast.errors.forEach(({ field }) => recordFieldProblem(report, field, 'castFailed'));
+        recordOutcome(report, 'reject', { rowNumber, reason: describeCastErrors(cast.errors), values: row });
+        return;
+      }
+      getMissingRequiredFields(cast.record, jobOptions.fieldFilter).forEach(field => recordFieldProblem(report, field, 'missingRequired'));
+
+      let record;
+      try {
+        record = applyFieldFilter(cast.record, jobOptions.fieldFilter);
+      } catch (error) {
+        recordOutcome(report, 'reject', { rowNumber, reason: error.message, values: row });
+        return;
+      }
+      if (!record) {
+        recordOutcome(report, 'skip', { rowNumber, reason: 'Excluded by record filter', values: row });
+        return;
+      }
+
+      const validationErrors = validateRecord(cast.record, validationRules, jobOptions.validationState);
+      if (validationErrors.length > 0) {
+        validationErrors.forEach(({ field }) => recordFieldProblem(report, field, 'validationFailed'));
+        recordOutcome(report, 'reject', { rowNumber, reason: describeValidationErrors(validationErrors), values: row });
+        return;
+      }
+
+      if (jobOptions.writeMode !== 'insert') {
+        const missingKeys = findMissingKeyFields(record, jobOptions.keyFields);
+        if (missingKeys.length > 0) {
+          missingKeys.forEach(field => recordFieldProblem(report, field, 'missingKey'));
+          recordOutcome(report, 'reject', { rowNumber, reason: `Missing key fields: ${missingKeys.join(', ')}`, values: row });
+          return;
+        }
+      }
+
+      // A row repeating an earlier row's key meets the record that row wrote
+      const seenKey = findSeenKey(record, jobOptions);
+      candidates.push({ rowNumber, record, matchedKey: seenKey, inFile: Boolean(seenKey) });
+    });
+
+    // Upserts, replaces and merges update the record matching their key
+    // fields; inserts are skipped when they clash with a unique index
+    const keySets = getDryRunKeySets(jobOptions);
+    const RecordModel = getRecordModel(jobOptions.targetCollection);
+    for (const fields of keySets) {
+      const keyOf = doc => JSON.stringify(fields.map(field => getField(doc, field)));
+      const lookups = candidates.filter(candidate =>
+        !candidate.matchedKey && fields.every(field => getField(candidate.record, field) !== undefined)
+      );
+      if (lookups.length === 0) continue;
+
+      const projection = {};
+      fields.forEach((field) => {
+        projection[field] = 1;
+      });
+      const existing = await RecordModel.find({
+        $or: lookups.map(({ record }) => {
+          const filter = {};
+          fields.forEach((field) => {
+            filter[field] = getField(record, field);
+          });
+          return filter;
+        })
+      }, projection).lean();
+
+      const existingKeys = new Set(existing.map(keyOf));
+      lookups.forEach((candidate) => {
+        if (existingKeys.has(keyOf(candidate.record))) candidate.matchedKey = fields;
+      });
+    }
+
+    candidates.forEach(({ rowNumber, record, matchedKey, inFile }) => {
+      if (!matchedKey) {
+        recordOutcome(report, 'insert', { rowNumber, record });
+      } else if (jobOptions.writeMode === 'insert') {
+        matchedKey.forEach(field => recordFieldProblem(report, field, 'duplicateKey'));
+        recordOutcome(report, 'skip', { rowNumber, reason: `Duplicate key${inFile ? ' in file' : ''}: ${matchedKey.join(', ')}`, record });
+      } else {
+        recordOutcome(report, 'update', { rowNumber, record });
+      }
+    });
+
+    return report;
+  }
+
+  // Key fields of the unique indexes on a target collection other than _id,
+  // which a dry run checks inserts against
+  async getUniqueKeySets(collectionName) {
+    try {
+      const indexes = await getRecordModel(collectionName).collection.indexes();
+      return indexes
+        .filter(index => index.unique && index.name !== '_id_' && !index.partialFilterExpression)
+        .map(index => Object.keys(index.key));
+    } catch (error) {
+      // The collection does not exist yet, so nothing can clash
+      if (error.codeName === 'NamespaceNotFound') return [];
+      throw error;
+    }
+  }
+
+  // Set the created flag in the lineage of records a job's upserts inserted
+  async markCreatedRecords(jobOptions, ids) {
+    const { fieldName, jobId } = jobOptions.lineage;
+    await getRecordModel(jobOptions.targetCollection).updateMany(
+      { _id: { $in: ids }, [`${fieldName}.jobId`]: jobId },
+      { $set: { [`${fieldName}.created`]: true } }
+    );
+  }
+
+  // Save the existing documents matched by the key filters of upsert, replace
+  // and merge operations. Only the first snapshot of a record per job is kept.
+  async snapshotRecords(jobId, targetCollection, operations) {
+    const filters = operations
+      .map(operation => (operation.updateOne || operation.replaceOne || {}).filter)
+      .filter(Boolean);
+    if (filters.length === 0) return;
+
+    const existing = await getRecordModel(targetCollection).find({ $or: filters }).lean();
+    if (existing.length === 0) return;
+
+    try {
+      await RecordSnapshotModel.insertMany(existing.map(document => ({
+        jobId,
+        targetCollection,
+        recordId: document._id,
+        document
+      })), { ordered: false });
+    } catch (error) {
+      // Records already snapshotted by this job keep their first snapshot
+      const alreadySnapshotted = Array.isArray(error.writeErrors) &&
+        error.writeErrors.every(writeError => getWriteErrorCode(writeError) === 11000);
+      if (!alreadySnapshotted) throw error;
+    }
+  }
+
+  // Copy failed rows, with their original CSV values, into the quarantine
+  // collection. Ids are derived from the row so a replayed chunk doesn't
+  // quarantine the same row twice. Returns the number of rows quarantined.
+  async quarantineRows(jobId, failedRows, getOriginalRow) {
+    const documents = failedRows.map(({ rowNumber, stage, error }) => ({
+      _id: rowObjectId(jobId, rowNumber),
+      jobId,
+      rowNumber,
+      values: getOriginalRow(rowNumber),
+      reason: error,
+      stage
+    }));
+
+    try {
+      await QuarantinedRowModel.insertMany(documents, { ordered: false });
+    } catch (error) {
+      // Rows quarantined by an earlier attempt of this job are already there
+      const alreadyQuarantined = Array.isArray(error.writeErrors) &&
+        error.writeErrors.every(writeError => getWriteErrorCode(writeError) === 11000);
+      if (!alreadyQuarantined) throw error;
+    }
+
+    return documents.length;
+  }
+
+  // event names the kind of update for per-job streams: progress, chunk,
+  // warning, completed or failed
+  emitProgress(jobId, percentage, message, stats = {}, event = 'progress') {
     const progressData = {
       type: 'progress',
+      event,
       jobId,
       percentage,
       message,
+      ...stats,
       timestamp: new Date().toISOString()
     };
     
     this.progressEmitter.emit('progress', progressData);
+    publishProgress(progressData);
+  }
+
+  // Serve this worker's metrics in the Prometheus text format on its own port
+  startMetricsServer() {
+    const port = parseInt(process.env.WORKER_METRICS_PORT || '9091');
+    if (!port) return;
+
+    this.metricsServer = http.createServer(async (req, res) => {
+      if (req.method !== 'GET' || req.url !== '/metrics') {
+        res.writeHead(404);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE });
+      res.end(await renderMetrics());
+    });
+    this.metricsServer.on('error', (error) => {
+      console.error(`Worker metrics server error on port ${port}:`, error.message);
+    });
+    this.metricsServer.listen(port, () => {
+      console.log(`Worker metrics available on port ${port} at /metrics`);
+    });
   }
 
   async stop() {
+    if (this.metricsServer) {
+      this.metricsServer.close();
+    }
     if (this.queue) {
       this.queue.stopPolling();
       console.log('CSV migration worker stopped');
@@ -312,22 +1151,25 @@ class CSVWorker {
   }
 }
 
-// Create and start the worker
-const csvWorker = new CSVWorker();
+// Create and start the worker when run directly (npm run worker), so the
+// module can be required without starting a second worker
+if (require.main === module) {
+  const csvWorker = new CSVWorker();
 
-// Handle graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('Shutting down worker...');
-  await csvWorker.stop();
-  process.exit(0);
-});
+  // Handle graceful shutdown
+  process.on('SIGTERM', async () => {
+    console.log('Shutting down worker...');
+    await csvWorker.stop();
+    process.exit(0);
+  });
 
-process.on('SIGINT', async () => {
-  console.log('Shutting down worker...');
-  await csvWorker.stop();
-  process.exit(0);
-});
+  process.on('SIGINT', async () => {
+    console.log('Shutting down worker...');
+    await csvWorker.stop();
+    process.exit(0);
+  });
 
-csvWorker.start();
+  csvWorker.start();
+}
 
 module.exports = { CSVWorker, progressEmitter };
\ No newline at end of file